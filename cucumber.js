@@ -1,3 +1,6 @@
+// runner/run.js sets this for rerun attempts so they do not overwrite the original run's reports
+const reportDir = process.env.CUCUMBER_REPORT_DIR || 'reports';
+
 module.exports = {
   default: {
     requireModule: ['@babel/register'],
@@ -8,8 +11,9 @@ module.exports = {
     ],
     format: [
       'progress-bar',
-      'html:reports/cucumber-report.html',
-      'json:reports/cucumber-report.json'
+      `html:${reportDir}/cucumber-report.html`,
+      `json:${reportDir}/cucumber-report.json`,
+      `rerun:${reportDir}/@rerun.txt`
     ],
     formatOptions: {
       snippetInterface: 'async-await'
@@ -195,4 +195,83 @@ Feature: API Testing
     When I make multiple API requests
     Then the response times should be logged
     And the success/failure rates should be tracked
-    And performance metrics should be available 
\ No newline at end of file
+    And performance metrics should be available 
+
+  @generic @users @crud
+  Scenario: User lifecycle with the generic HTTP steps
+    When I send a POST request to "/users" with:
+      | name     | Generic User             |
+      | email    | generic.user@example.com |
+      | password | Generic#Pass123          |
+    Then the response status should be 201
+    And the response should match the "user" schema
+    And the response value at "$.name" should equal "Generic User"
+    And the response value at "$.password" should not exist
+    When I store the response value at "$.id" as "genericUserId"
+    And I send a PATCH request to "/users/{{genericUserId}}" with body:
+      """
+      { "name": "Renamed Generic User" }
+      """
+    Then the response status should be 200
+    And the response should contain:
+      | $.id    | {{genericUserId}}        |
+      | $.name  | Renamed Generic User     |
+      | $.email | generic.user@example.com |
+    When I send a DELETE request to "/users/{{genericUserId}}"
+    Then the response status should be 204
+    When I send a GET request to "/users/{{genericUserId}}"
+    Then the response status should be 404
+    And the response should match the "error" schema
+
+  @generic @products @filtering
+  Scenario: Filter products with query parameters and JSONPath assertions
+    When I send a GET request to "/products" with query:
+      | category | electronics |
+      | sort     | price       |
+    Then the response status should be one of "200, 304"
+    And the response time should be less than 2000ms
+    And every response value at "$[*].category" should equal "electronics"
+    And each item at "$" should match the "product" schema
+    When I send a GET request to "/products" with query:
+      | page  | 2 |
+      | limit | 5 |
+    Then the response status should be 200
+    And the response value at "$.data" should have 5 items
+    And the response value at "$.pagination" should contain "{\"page\": 2, \"limit\": 5}"
+    And the response value at "$.data[0].name" should contain "item"
+    And the response value at "$.pagination" should exist
+
+  @generic @headers @caching
+  Scenario: Request and response headers with the generic HTTP steps
+    When I send a GET request to "/products/1" with headers:
+      | Accept | application/json |
+    Then the response status should be 200
+    And the response should match the "product" schema
+    And the response header "ETag" should exist
+    And the response header "X-Cache" should equal "MISS"
+    And the response header "Cache-Control" should match "max-age=\d+"
+    And the response header "X-Content-Type-Options" should equal "nosniff"
+
+  @generic @pagination
+  Scenario: Walk every page of the product catalogue
+    When I walk all pages of "/products" with limit 7
+    Then the walked pages should contain 25 items in total
+    And the walked pages should not contain duplicate "id" values
+
+  @generic @file-upload @file-download
+  Scenario: Upload a file and download it again with the generic HTTP steps
+    Given I have a test file
+    When I upload the file "{{testFile}}" to "/files/upload"
+    Then the response status should be 200
+    And the response value at "$.url" should exist
+    When I store the response value at "$.url" as "uploadedFileUrl"
+    And I download "{{uploadedFileUrl}}" to "temp/generic-download.txt"
+    Then the response status should be 200
+    And the downloaded file should match "{{testFile}}"
+
+  @generic @compression
+  Scenario: Compressed response with the generic HTTP steps
+    When I send a compressed GET request to "/products/catalog"
+    Then the response status should be 200
+    And the content encoding should be gzip
+    And the response size should be smaller than uncompressed
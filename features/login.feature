@@ -26,4 +26,14 @@ Feature: Login Functionality
   @basic-navigation
   Scenario: Basic login page navigation
     Given I am on the login page
-    Then I should remain on the login page
\ No newline at end of file
+    Then I should remain on the login page
+
+  @network-mock @negative
+  Scenario: Login error is shown when the server rejects the credentials
+    Given the POST request to "/login" responds with fixture "login-failure.json"
+    When I enter valid email "${TEST_USER_EMAIL}"
+    And I enter valid password "${TEST_USER_PASSWORD}"
+    And I click the login button
+    Then I should see an error message
+    And I should remain on the login page
+    And the POST request to "/login" should have been made 1 time
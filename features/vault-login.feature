@@ -0,0 +1,18 @@
+@login @vault
+Feature: Login with vault credentials
+  As a test author
+  I want scenarios to log in by role
+  So that passwords live in the encrypted credentials vault instead of feature files
+
+  # Credentials are looked up as "<role>@<profile>": "customer@stage" with TEST_ENV=stage,
+  # "customer@default" when TEST_ENV is unset. `npm run vault -- import` (no --env) creates
+  # the default entries from env.config.
+
+  @vault-login
+  Scenario: Customer logs in with credentials from the vault
+    Given I am logged in as "customer"
+    Then I should see the welcome message
+
+  @vault-login @negative @no-browser
+  Scenario: A role without a vault entry is reported under the current profile's entry name
+    Then the vault should have no credentials for "no-such-role" in the current environment profile
@@ -0,0 +1,734 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const path = require('path');
+const { loadEnvironmentProfile } = require('../support/environment');
+const { version } = require('../package.json');
+
+const CATEGORIES = ['electronics', 'books', 'clothing', 'home', 'sports'];
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+  'Content-Security-Policy': 'default-src \'none\'; frame-ancestors \'none\'',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Client-Id'
+};
+
+const REQUIRED_USER_FIELDS = ['name', 'email', 'password'];
+
+// Deterministic catalogue so pagination, filtering and sorting assertions are stable
+const seedProducts = () => Array.from({ length: 25 }, (_value, index) => ({
+  id: index + 1,
+  name: `${CATEGORIES[index % CATEGORIES.length]} item ${String.fromCharCode(90 - index)}`,
+  price: Number((5 + ((index * 37) % 700) + 0.99).toFixed(2)),
+  category: CATEGORIES[index % CATEGORIES.length],
+  stock: (index * 7) % 50
+}));
+
+const publicUser = ({ password: _password, ...user }) => user;
+
+/**
+ * Local stand-in for the REST API exercised by features/api.feature.
+ *
+ * Besides the domain endpoints (/auth, /users, /products, /orders, /webhooks, /files,
+ * /health) it simulates latency, per-client rate limiting, gzip, caching headers and
+ * injected faults. Test-only admin endpoints live under /__mock.
+ */
+class MockApiServer {
+  constructor(options = {}) {
+    this.host = options.host || process.env.MOCK_API_HOST || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : parseInt(process.env.MOCK_API_PORT) || 0;
+    this.latency = options.latency !== undefined ? options.latency : parseInt(process.env.MOCK_API_LATENCY) || 0;
+    this.rateLimit = options.rateLimit || parseInt(process.env.MOCK_API_RATE_LIMIT) || 100;
+    this.rateLimitWindowMs = options.rateLimitWindowMs || parseInt(process.env.MOCK_API_RATE_LIMIT_WINDOW) || 60000;
+    this.compressionThreshold = options.compressionThreshold || 1024;
+    this.cacheMaxAge = options.cacheMaxAge || 60;
+    this.seedUsers = options.users || [];
+    this.server = null;
+    this.url = null;
+    this.timers = new Set();
+    this.reset();
+  }
+
+  /**
+   * Restore the seeded data and clear rate-limit counters, caches and faults.
+   */
+  reset() {
+    this.nextId = { user: 1, order: 1, webhook: 1, file: 1, fault: 1 };
+    this.users = new Map();
+    this.orders = new Map();
+    this.webhooks = new Map();
+    this.files = new Map();
+    this.faults = [];
+    this.rateWindows = new Map();
+    this.cache = new Map();
+    this.products = seedProducts();
+    this.seedUsers.forEach(user => this.createUser(user));
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => {
+        this.handle(request, response).catch(error => {
+          console.error('❌ Mock API error:', error);
+          this.send(response, 500, { error: 'Internal server error' });
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.add(timer);
+    });
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://mock.local');
+    const rawBody = await this.readBody(request);
+    const context = {
+      request,
+      response,
+      url,
+      method: request.method,
+      pathname: url.pathname.replace(/\/+$/, '') || '/',
+      query: Object.fromEntries(url.searchParams),
+      rawBody,
+      clientId: request.headers['x-client-id'] || request.socket.remoteAddress
+    };
+
+    if (context.method === 'OPTIONS') {
+      return this.send(response, 204);
+    }
+    if (context.pathname.startsWith('/__mock')) {
+      return this.handleAdmin(context);
+    }
+    if (!this.checkRateLimit(context)) {
+      return undefined;
+    }
+    if (this.latency > 0) {
+      await this.wait(this.latency);
+    }
+    if (await this.applyFault(context)) {
+      return undefined;
+    }
+
+    try {
+      context.body = this.parseBody(request, rawBody);
+    } catch (error) {
+      return this.send(response, 400, { error: 'Malformed JSON body' });
+    }
+
+    return this.route(context);
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => resolve(Buffer.concat(chunks)));
+      request.on('error', reject);
+    });
+  }
+
+  parseBody(request, rawBody) {
+    const contentType = request.headers['content-type'] || '';
+    if (rawBody.length === 0 || !contentType.includes('application/json')) {
+      return {};
+    }
+    return JSON.parse(rawBody.toString('utf8'));
+  }
+
+  send(response, status, body, headers = {}) {
+    if (response.headersSent || response.destroyed) {
+      return;
+    }
+
+    const allHeaders = { ...SECURITY_HEADERS, ...headers };
+    let payload = body;
+    if (body !== undefined && !Buffer.isBuffer(body)) {
+      payload = Buffer.from(JSON.stringify(body));
+      allHeaders['Content-Type'] = 'application/json; charset=utf-8';
+    }
+
+    const acceptsGzip = /\bgzip\b/.test(response.req.headers['accept-encoding'] || '');
+    if (payload && acceptsGzip && payload.length >= this.compressionThreshold) {
+      payload = zlib.gzipSync(payload);
+      allHeaders['Content-Encoding'] = 'gzip';
+      allHeaders['Vary'] = 'Accept-Encoding';
+    }
+
+    if (payload) {
+      allHeaders['Content-Length'] = payload.length;
+    }
+    response.writeHead(status, allHeaders);
+    response.end(payload);
+  }
+
+  // Rate limiting: fixed window per client (X-Client-Id, falling back to the remote address)
+  checkRateLimit({ clientId, response }) {
+    const now = Date.now();
+    let window = this.rateWindows.get(clientId);
+    if (!window || now - window.start >= this.rateLimitWindowMs) {
+      window = { start: now, count: 0 };
+      this.rateWindows.set(clientId, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.start + this.rateLimitWindowMs - now) / 1000);
+    const headers = {
+      'X-RateLimit-Limit': String(this.rateLimit),
+      'X-RateLimit-Remaining': String(Math.max(this.rateLimit - window.count, 0)),
+      'X-RateLimit-Reset': String(resetSeconds)
+    };
+    Object.entries(headers).forEach(([name, value]) => response.setHeader(name, value));
+
+    if (window.count > this.rateLimit) {
+      this.send(response, 429, { error: 'Too many requests' }, { 'Retry-After': String(resetSeconds) });
+      return false;
+    }
+    return true;
+  }
+
+  async applyFault({ method, pathname, clientId, response }) {
+    const fault = this.faults.find(candidate =>
+      (candidate.method === '*' || candidate.method === method) &&
+      candidate.path === pathname &&
+      (!candidate.clientId || candidate.clientId === clientId)
+    );
+    if (!fault) {
+      return false;
+    }
+
+    if (fault.times > 0) {
+      fault.remaining--;
+      if (fault.remaining <= 0) {
+        this.faults = this.faults.filter(candidate => candidate !== fault);
+      }
+    }
+    if (fault.delay) {
+      await this.wait(fault.delay);
+    }
+    this.send(response, fault.status, fault.body || { error: `Injected fault (${fault.status})` });
+    return true;
+  }
+
+  /**
+   * Admin endpoints used by tests to control the mock:
+   *   POST   /__mock/faults  { method, path, status, times, delay, body, global }
+   *   GET    /__mock/faults
+   *   DELETE /__mock/faults
+   *   POST   /__mock/reset
+   */
+  handleAdmin(context) {
+    const { method, pathname, response, clientId } = context;
+
+    if (pathname === '/__mock/faults' && method === 'POST') {
+      const body = this.parseBody(context.request, context.rawBody);
+      if (!body.path) {
+        return this.send(response, 400, { error: 'Missing required fields: path' });
+      }
+      const times = body.times !== undefined ? body.times : 1;
+      const fault = {
+        id: this.nextId.fault++,
+        method: (body.method || '*').toUpperCase(),
+        path: body.path,
+        status: body.status || 500,
+        times,
+        remaining: times,
+        delay: body.delay || 0,
+        body: body.body,
+        // Faults only affect the client that registered them unless marked global
+        clientId: body.global ? null : clientId
+      };
+      this.faults.push(fault);
+      return this.send(response, 201, fault);
+    }
+    if (pathname === '/__mock/faults' && method === 'GET') {
+      return this.send(response, 200, this.faults);
+    }
+    if (pathname === '/__mock/faults' && method === 'DELETE') {
+      this.faults = [];
+      return this.send(response, 204);
+    }
+    if (pathname === '/__mock/reset' && method === 'POST') {
+      this.reset();
+      return this.send(response, 204);
+    }
+    return this.send(response, 404, { error: 'Not found' });
+  }
+
+  route(context) {
+    const { method, pathname } = context;
+    const segments = pathname.split('/').filter(Boolean);
+    const [resource, id, action] = segments;
+
+    if (pathname === '/health' && method === 'GET') {
+      return this.send(context.response, 200, {
+        status: 'healthy',
+        version,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (pathname === '/auth/login' && method === 'POST') {
+      return this.login(context);
+    }
+    if (pathname === '/slow' || resource === 'delay') {
+      return this.slow(context, resource === 'delay' ? parseInt(id) : parseInt(context.query.delay));
+    }
+
+    switch (resource) {
+    case 'users':
+      return this.routeUsers(context, id);
+    case 'products':
+      return this.routeProducts(context, id);
+    case 'orders':
+      return this.routeOrders(context, id, action);
+    case 'webhooks':
+      return this.routeWebhooks(context, id);
+    case 'files':
+      return this.routeFiles(context, id);
+    default:
+      return this.send(context.response, 404, { error: 'Not found' });
+    }
+  }
+
+  async slow({ response }, delay) {
+    await this.wait(Number.isNaN(delay) ? 5000 : delay);
+    this.send(response, 200, { delayed: true });
+  }
+
+  // Auth
+
+  login({ body, response }) {
+    if (!body.email || !body.password) {
+      return this.send(response, 400, { error: 'Missing required fields: email, password' });
+    }
+    const user = [...this.users.values()].find(candidate =>
+      candidate.email === body.email && candidate.password === body.password
+    );
+    if (!user) {
+      return this.send(response, 401, { error: 'Invalid credentials' });
+    }
+    return this.send(response, 200, {
+      token: crypto.randomBytes(24).toString('hex'),
+      expiresIn: 3600,
+      user: publicUser(user)
+    });
+  }
+
+  // Users
+
+  validateUser(data) {
+    const missing = REQUIRED_USER_FIELDS.filter(field => !data[field]);
+    const errors = missing.map(field => ({ field, message: `${field} is required` }));
+    if (data.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(data.email)) {
+      errors.push({ field: 'email', message: 'email must be a valid email address' });
+    }
+    return { missing, errors };
+  }
+
+  createUser(data) {
+    const user = {
+      id: this.nextId.user++,
+      name: data.name,
+      email: data.email,
+      password: data.password,
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  routeUsers({ method, body, response }, id) {
+    if (id === 'batch' && method === 'POST') {
+      const users = Array.isArray(body.users) ? body.users : [];
+      const invalid = users
+        .map((user, index) => ({ index, ...this.validateUser(user) }))
+        .filter(result => result.errors.length > 0);
+      if (users.length === 0 || invalid.length > 0) {
+        return this.send(response, 400, { error: 'Invalid users in batch', errors: invalid });
+      }
+      return this.send(response, 200, { created: users.map(user => publicUser(this.createUser(user))) });
+    }
+
+    if (!id) {
+      if (method === 'GET') {
+        return this.send(response, 200, [...this.users.values()].map(publicUser));
+      }
+      if (method === 'POST') {
+        const { missing, errors } = this.validateUser(body);
+        if (errors.length > 0) {
+          const error = missing.length > 0
+            ? `Missing required fields: ${missing.join(', ')}`
+            : 'Validation failed';
+          return this.send(response, 400, { error, errors });
+        }
+        return this.send(response, 201, publicUser(this.createUser(body)));
+      }
+      return this.send(response, 405, { error: 'Method not allowed' });
+    }
+
+    const user = this.users.get(Number(id));
+    if (!user) {
+      return this.send(response, 404, { error: 'User not found' });
+    }
+
+    switch (method) {
+    case 'GET':
+      return this.send(response, 200, publicUser(user));
+    case 'PUT':
+    case 'PATCH':
+      ['name', 'email', 'password'].filter(field => body[field]).forEach(field => {
+        user[field] = body[field];
+      });
+      user.updatedAt = new Date().toISOString();
+      return this.send(response, 200, publicUser(user));
+    case 'DELETE':
+      this.users.delete(user.id);
+      return this.send(response, 204);
+    default:
+      return this.send(response, 405, { error: 'Method not allowed' });
+    }
+  }
+
+  // Products
+
+  routeProducts(context, id) {
+    const { method, query, response } = context;
+    if (method !== 'GET') {
+      return this.send(response, 405, { error: 'Method not allowed' });
+    }
+
+    if (id === 'catalog') {
+      // Large, repetitive payload for compression checks
+      const catalog = Array.from({ length: 2000 }, (_value, index) => ({
+        ...this.products[index % this.products.length],
+        id: index + 1,
+        sku: `SKU-${String(index + 1).padStart(6, '0')}`,
+        description: 'Bundled catalogue entry used to exercise response compression.'
+      }));
+      return this.sendCacheable(context, catalog);
+    }
+
+    if (id) {
+      const product = this.products.find(candidate => candidate.id === Number(id));
+      return product
+        ? this.sendCacheable(context, product)
+        : this.send(response, 404, { error: 'Product not found' });
+    }
+
+    let products = [...this.products];
+    if (query.category) {
+      products = products.filter(product => product.category === query.category);
+    }
+    if (query.minPrice !== undefined) {
+      products = products.filter(product => product.price >= Number(query.minPrice));
+    }
+    if (query.maxPrice !== undefined) {
+      products = products.filter(product => product.price <= Number(query.maxPrice));
+    }
+    if (query.sort === 'name') {
+      products.sort((a, b) => a.name.localeCompare(b.name));
+    } else if (query.sort === 'price') {
+      products.sort((a, b) => a.price - b.price);
+    }
+
+    // Plain array unless pagination is requested
+    if (query.page === undefined && query.limit === undefined) {
+      return this.sendCacheable(context, products);
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.max(parseInt(query.limit) || 10, 1);
+    return this.sendCacheable(context, {
+      data: products.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: products.length,
+        totalPages: Math.ceil(products.length / limit)
+      }
+    });
+  }
+
+  /**
+   * Send a GET response with Cache-Control/ETag headers. X-Cache reports whether this
+   * client already fetched the same representation within max-age.
+   */
+  sendCacheable({ request, response, url, clientId }, body) {
+    const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+    const cacheKey = `${clientId} ${url.pathname}${url.search}`;
+    const cached = this.cache.get(cacheKey);
+    const now = Date.now();
+    const hit = Boolean(cached && cached.etag === etag && cached.expires > now);
+
+    if (!hit) {
+      this.cache.set(cacheKey, { etag, expires: now + this.cacheMaxAge * 1000 });
+    }
+
+    const headers = {
+      'Cache-Control': `public, max-age=${this.cacheMaxAge}`,
+      'ETag': etag,
+      'X-Cache': hit ? 'HIT' : 'MISS'
+    };
+    if (request.headers['if-none-match'] === etag) {
+      return this.send(response, 304, undefined, headers);
+    }
+    return this.send(response, 200, body, headers);
+  }
+
+  // Orders
+
+  routeOrders({ method, body, response }, id, action) {
+    if (!id) {
+      if (method !== 'POST') {
+        return this.send(response, 405, { error: 'Method not allowed' });
+      }
+      if (!body.userId) {
+        return this.send(response, 400, { error: 'Missing required fields: userId', errors: [{ field: 'userId', message: 'userId is required' }] });
+      }
+      if (!this.users.has(Number(body.userId))) {
+        return this.send(response, 404, { error: 'User not found' });
+      }
+      const order = {
+        id: this.nextId.order++,
+        userId: Number(body.userId),
+        status: 'pending',
+        items: [],
+        createdAt: new Date().toISOString()
+      };
+      this.orders.set(order.id, order);
+      this.notifyWebhooks('order.created', order);
+      return this.send(response, 201, order);
+    }
+
+    const order = this.orders.get(Number(id));
+    if (!order) {
+      return this.send(response, 404, { error: 'Order not found' });
+    }
+
+    if (action === 'items' && method === 'POST') {
+      const product = this.products.find(candidate => candidate.id === Number(body.productId));
+      if (!product) {
+        return this.send(response, 404, { error: 'Product not found' });
+      }
+      const quantity = parseInt(body.quantity) || 1;
+      const existing = order.items.find(item => item.productId === product.id);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        order.items.push({ productId: product.id, quantity, price: product.price });
+      }
+      return this.send(response, 200, order);
+    }
+
+    if (action === 'submit' && method === 'POST') {
+      if (order.items.length === 0) {
+        return this.send(response, 400, { error: 'Order has no items' });
+      }
+      // Submitted orders stay pending until fulfilment, which the mock does not simulate
+      order.submittedAt = new Date().toISOString();
+      order.total = Number(order.items.reduce((sum, item) => sum + item.price * item.quantity, 0).toFixed(2));
+      return this.send(response, 200, order);
+    }
+
+    if (!action && method === 'GET') {
+      return this.send(response, 200, order);
+    }
+    if (!action && method === 'DELETE') {
+      this.orders.delete(order.id);
+      return this.send(response, 204);
+    }
+    return this.send(response, 405, { error: 'Method not allowed' });
+  }
+
+  // Webhooks
+
+  routeWebhooks({ method, body, response }, id) {
+    if (!id && method === 'POST') {
+      if (!body.url) {
+        return this.send(response, 400, { error: 'Missing required fields: url', errors: [{ field: 'url', message: 'url is required' }] });
+      }
+      const webhook = {
+        id: this.nextId.webhook++,
+        url: body.url,
+        events: Array.isArray(body.events) && body.events.length > 0 ? body.events : ['*']
+      };
+      this.webhooks.set(webhook.id, webhook);
+      return this.send(response, 201, webhook);
+    }
+    if (!id && method === 'GET') {
+      return this.send(response, 200, [...this.webhooks.values()]);
+    }
+
+    const webhook = this.webhooks.get(Number(id));
+    if (!webhook) {
+      return this.send(response, 404, { error: 'Webhook not found' });
+    }
+    if (method === 'DELETE') {
+      this.webhooks.delete(webhook.id);
+      return this.send(response, 204);
+    }
+    return this.send(response, 200, webhook);
+  }
+
+  notifyWebhooks(event, data) {
+    const payload = JSON.stringify({ event, data, timestamp: new Date().toISOString() });
+    [...this.webhooks.values()]
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event))
+      .forEach(webhook => {
+        const target = new URL(webhook.url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const delivery = transport.request(target, {
+          method: 'POST',
+          timeout: 5000,
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            'X-Webhook-Event': event
+          }
+        });
+        delivery.on('timeout', () => delivery.destroy());
+        delivery.on('error', error => {
+          console.log(`⚠️ Webhook delivery to ${webhook.url} failed: ${error.message}`);
+        });
+        delivery.end(payload);
+      });
+  }
+
+  // Files
+
+  routeFiles({ method, request, rawBody, response }, id) {
+    if (id === 'upload' && method === 'POST') {
+      const upload = this.parseMultipart(request, rawBody).find(part => part.filename);
+      if (!upload) {
+        return this.send(response, 400, { error: 'No file in upload' });
+      }
+      const file = {
+        id: this.nextId.file++,
+        filename: upload.filename,
+        mimeType: upload.contentType,
+        content: upload.content
+      };
+      this.files.set(file.id, file);
+      return this.send(response, 200, {
+        id: file.id,
+        filename: file.filename,
+        size: file.content.length,
+        mimeType: file.mimeType,
+        url: `/files/${file.id}`
+      });
+    }
+
+    const file = this.files.get(Number(id));
+    if (!file) {
+      return this.send(response, 404, { error: 'File not found' });
+    }
+    if (method === 'DELETE') {
+      this.files.delete(file.id);
+      return this.send(response, 204);
+    }
+    return this.send(response, 200, file.content, {
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `attachment; filename="${path.basename(file.filename)}"`
+    });
+  }
+
+  /**
+   * Minimal multipart/form-data parser; enough for the single-file uploads the
+   * steps send through ApiClient.buildUploadForm.
+   */
+  parseMultipart(request, rawBody) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(request.headers['content-type'] || '');
+    if (!match) {
+      return [];
+    }
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const parts = [];
+    let start = rawBody.indexOf(delimiter);
+    while (start !== -1) {
+      const next = rawBody.indexOf(delimiter, start + delimiter.length);
+      if (next === -1) {
+        break;
+      }
+      // Each part is: CRLF headers CRLF CRLF content CRLF
+      const part = rawBody.subarray(start + delimiter.length + 2, next - 2);
+      const headerEnd = part.indexOf('\r\n\r\n');
+      if (headerEnd !== -1) {
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const disposition = /name="([^"]*)"(?:; filename="([^"]*)")?/.exec(headers) || [];
+        const contentType = /content-type:\s*([^\r\n]+)/i.exec(headers);
+        parts.push({
+          name: disposition[1],
+          filename: disposition[2],
+          contentType: contentType ? contentType[1] : 'application/octet-stream',
+          content: part.subarray(headerEnd + 4)
+        });
+      }
+      start = next;
+    }
+    return parts;
+  }
+}
+
+// Standalone / forked usage: node mocks/apiServer.js [--port=4010] [--env=stage]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = args.find(arg => arg.startsWith('--port='))?.split('=')[1];
+  const environment = args.find(arg => arg.startsWith('--env='))?.split('=')[1];
+
+  // Seed the profile's test accounts so "valid credentials" scenarios can log in
+  const { credentials } = loadEnvironmentProfile(environment || process.env.TEST_ENV);
+  const users = [
+    { name: 'Test User', ...credentials.user },
+    { name: 'Admin User', ...credentials.admin }
+  ].filter(user => user.email && user.password);
+
+  const server = new MockApiServer({ port: port !== undefined ? parseInt(port) : undefined, users });
+  server.start().then(url => {
+    console.log(`🧪 Mock API listening on ${url}`);
+    if (process.send) {
+      process.send({ type: 'ready', url });
+    }
+  }).catch(error => {
+    console.error('❌ Failed to start mock API:', error);
+    process.exit(1);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  process.on('disconnect', shutdown);
+}
+
+module.exports = MockApiServer;
@@ -0,0 +1,562 @@
+const http = require('http');
+const crypto = require('crypto');
+const { loadEnvironmentProfile } = require('../support/environment');
+
+const SESSION_COOKIE = 'DemoShop.Auth';
+const REMEMBER_ME_MAX_AGE = 30 * 24 * 60 * 60;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Fixed accounts that exist on every run, alongside the profile's test accounts
+const DEFAULT_USERS = [
+  { firstName: 'Locked', lastName: 'Customer', email: 'locked@example.com', password: 'Locked123!', locked: true }
+];
+
+const FAILURE_MODES = ['slow', 'validation-error', 'server-error'];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fieldError = (field, errors) => (errors[field]
+  ? `<span class="field-validation-error" id="${field}-error">${escapeHtml(errors[field])}</span>`
+  : '');
+
+const validationSummary = (title, messages) => (messages.length > 0
+  ? `<div class="message-error"><div class="validation-summary-errors"><span>${escapeHtml(title)}</span>` +
+    `<ul>${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul></div></div>`
+  : '');
+
+/**
+ * Local stand-in for https://demowebshop.tricentis.com covering the pages used by
+ * features/login.feature: login, register, forgot password and the customer account.
+ * Markup follows selectors/loginSelectors.js so LoginPage works unchanged.
+ *
+ * Failure modes (slow responses, forced validation errors, 500s) are switched on per
+ * path through POST /__demo/failures, or globally with DEMO_SHOP_LATENCY.
+ */
+class DemoShopServer {
+  constructor(options = {}) {
+    this.host = options.host || process.env.DEMO_SHOP_HOST || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : parseInt(process.env.DEMO_SHOP_PORT) || 0;
+    this.latency = options.latency !== undefined ? options.latency : parseInt(process.env.DEMO_SHOP_LATENCY) || 0;
+    this.seedUsers = [...DEFAULT_USERS, ...(options.users || [])];
+    this.server = null;
+    this.url = null;
+    this.timers = new Set();
+    this.reset();
+  }
+
+  reset() {
+    this.users = new Map();
+    this.sessions = new Map();
+    this.failures = [];
+    this.nextFailureId = 1;
+    this.seedUsers.forEach(user => this.users.set(user.email.toLowerCase(), { ...user }));
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => {
+        this.handle(request, response).catch(error => {
+          console.error('❌ Demo shop error:', error);
+          this.sendPage(response, 500, 'Error', '<div class="page-title"><h1>Something went wrong</h1></div>');
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.add(timer);
+    });
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://demo.local');
+    const rawBody = await this.readBody(request);
+    const context = {
+      request,
+      response,
+      url,
+      method: request.method,
+      pathname: url.pathname.replace(/\/+$/, '') || '/',
+      session: this.getSession(request),
+      rawBody
+    };
+
+    if (context.pathname.startsWith('/__demo')) {
+      return this.handleAdmin(context);
+    }
+    if (this.latency > 0) {
+      await this.wait(this.latency);
+    }
+
+    const failure = this.takeFailure(context);
+    if (failure && failure.mode === 'slow') {
+      await this.wait(failure.delay || 5000);
+    }
+    if (failure && failure.mode === 'server-error') {
+      return this.sendPage(response, 500, 'Error', '<div class="page-title"><h1>Something went wrong</h1></div>', context.session);
+    }
+    context.forcedValidationError = failure && failure.mode === 'validation-error' ? failure.message : null;
+    context.form = this.parseForm(request, rawBody);
+
+    return this.route(context);
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      request.on('error', reject);
+    });
+  }
+
+  parseForm(request, rawBody) {
+    const contentType = request.headers['content-type'] || '';
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return Object.fromEntries(new URLSearchParams(rawBody));
+    }
+    return {};
+  }
+
+  // Sessions
+
+  getSession(request) {
+    const cookies = Object.fromEntries((request.headers.cookie || '')
+      .split(';')
+      .map(cookie => cookie.trim().split('='))
+      .filter(([name]) => name));
+    const email = this.sessions.get(cookies[SESSION_COOKIE]);
+    return email ? this.users.get(email) || null : null;
+  }
+
+  startSession(user, rememberMe) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, user.email.toLowerCase());
+    const maxAge = rememberMe ? `; Max-Age=${REMEMBER_ME_MAX_AGE}` : '';
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly${maxAge}`;
+  }
+
+  // Failure modes
+
+  takeFailure({ method, pathname }) {
+    const failure = this.failures.find(candidate =>
+      candidate.path === pathname && (candidate.method === '*' || candidate.method === method)
+    );
+    if (failure && failure.times > 0) {
+      failure.remaining--;
+      if (failure.remaining <= 0) {
+        this.failures = this.failures.filter(candidate => candidate !== failure);
+      }
+    }
+    return failure;
+  }
+
+  /**
+   * Admin endpoints:
+   *   POST   /__demo/failures  { path, mode: slow|validation-error|server-error, method, delay, message, times }
+   *   GET    /__demo/failures
+   *   DELETE /__demo/failures
+   *   POST   /__demo/reset
+   */
+  handleAdmin({ method, pathname, rawBody, response }) {
+    if (pathname === '/__demo/failures' && method === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(rawBody || '{}');
+      } catch (error) {
+        return this.sendJson(response, 400, { error: 'Malformed JSON body' });
+      }
+      if (!body.path || !FAILURE_MODES.includes(body.mode)) {
+        return this.sendJson(response, 400, { error: `path and mode (${FAILURE_MODES.join(', ')}) are required` });
+      }
+      const times = body.times !== undefined ? body.times : 0;
+      const failure = {
+        id: this.nextFailureId++,
+        path: body.path,
+        mode: body.mode,
+        method: (body.method || '*').toUpperCase(),
+        delay: body.delay,
+        message: body.message || 'The request could not be processed. Please try again later.',
+        times,
+        remaining: times
+      };
+      this.failures.push(failure);
+      return this.sendJson(response, 201, failure);
+    }
+    if (pathname === '/__demo/failures' && method === 'GET') {
+      return this.sendJson(response, 200, this.failures);
+    }
+    if (pathname === '/__demo/failures' && method === 'DELETE') {
+      this.failures = [];
+      return this.sendJson(response, 204);
+    }
+    if (pathname === '/__demo/reset' && method === 'POST') {
+      this.reset();
+      return this.sendJson(response, 204);
+    }
+    return this.sendJson(response, 404, { error: 'Not found' });
+  }
+
+  // Routing
+
+  route(context) {
+    const { method, pathname, response, session } = context;
+
+    switch (`${method} ${pathname}`) {
+    case 'GET /':
+      return this.sendPage(response, 200, 'Demo Web Shop', this.homeBody(session), session);
+    case 'GET /login':
+      return this.sendPage(response, 200, 'Login', this.loginBody(), session);
+    case 'POST /login':
+      return this.login(context);
+    case 'GET /logout':
+      return this.redirect(response, '/', `${SESSION_COOKIE}=; Path=/; Max-Age=0`);
+    case 'GET /register':
+      return this.sendPage(response, 200, 'Register', this.registerBody(), session);
+    case 'POST /register':
+      return this.register(context);
+    case 'GET /forgot-password':
+    case 'GET /passwordrecovery':
+      return this.sendPage(response, 200, 'Password Recovery', this.recoveryBody(), session);
+    case 'POST /forgot-password':
+    case 'POST /passwordrecovery':
+      return this.recoverPassword(context);
+    case 'GET /customer/info':
+      return session
+        ? this.sendPage(response, 200, 'Account', this.accountBody(session), session)
+        : this.redirect(response, `/login?returnUrl=${encodeURIComponent(pathname)}`);
+    default:
+      return this.sendPage(response, 404, 'Page not found', '<div class="page-title"><h1>Page not found</h1></div>', session);
+    }
+  }
+
+  login({ form, response, url, forcedValidationError }) {
+    const values = { Email: form.Email || '', RememberMe: form.RememberMe === 'true' };
+    const errors = {};
+    if (!values.Email.trim()) {
+      errors.Email = 'Please enter your email';
+    } else if (!EMAIL_PATTERN.test(values.Email.trim())) {
+      errors.Email = 'Wrong email';
+    }
+    if (!form.Password) {
+      errors.Password = 'Please enter your password';
+    }
+    if (Object.keys(errors).length > 0) {
+      return this.sendPage(response, 200, 'Login', this.loginBody(values, errors));
+    }
+
+    const summary = [];
+    const user = this.users.get(values.Email.trim().toLowerCase());
+    if (forcedValidationError) {
+      summary.push(forcedValidationError);
+    } else if (!user) {
+      summary.push('No customer account found');
+    } else if (user.password !== form.Password) {
+      summary.push('The credentials provided are incorrect');
+    } else if (user.locked) {
+      summary.push('Customer is locked out');
+    }
+    if (summary.length > 0) {
+      return this.sendPage(response, 200, 'Login', this.loginBody(values, {}, summary));
+    }
+
+    const returnUrl = url.searchParams.get('returnUrl');
+    return this.redirect(response, returnUrl && returnUrl.startsWith('/') ? returnUrl : '/', this.startSession(user, values.RememberMe));
+  }
+
+  register({ form, response, forcedValidationError }) {
+    const values = {
+      FirstName: form.FirstName || '',
+      LastName: form.LastName || '',
+      Email: form.Email || ''
+    };
+    const errors = {};
+    if (!values.FirstName.trim()) {
+      errors.FirstName = 'First name is required.';
+    }
+    if (!values.LastName.trim()) {
+      errors.LastName = 'Last name is required.';
+    }
+    if (!values.Email.trim()) {
+      errors.Email = 'Email is required.';
+    } else if (!EMAIL_PATTERN.test(values.Email.trim())) {
+      errors.Email = 'Wrong email';
+    }
+    if (!form.Password) {
+      errors.Password = 'Password is required.';
+    } else if (form.Password.length < 6) {
+      errors.Password = 'The password should have at least 6 characters.';
+    }
+    if (form.Password && form.ConfirmPassword !== form.Password) {
+      errors.ConfirmPassword = 'The password and confirmation password do not match.';
+    }
+
+    const summary = [];
+    if (forcedValidationError) {
+      summary.push(forcedValidationError);
+    } else if (values.Email && this.users.has(values.Email.trim().toLowerCase())) {
+      summary.push('The specified email already exists');
+    }
+    if (Object.keys(errors).length > 0 || summary.length > 0) {
+      return this.sendPage(response, 200, 'Register', this.registerBody(values, errors, summary));
+    }
+
+    const user = {
+      firstName: values.FirstName.trim(),
+      lastName: values.LastName.trim(),
+      email: values.Email.trim(),
+      password: form.Password
+    };
+    this.users.set(user.email.toLowerCase(), user);
+    return this.sendPage(response, 200, 'Register', `
+      <div class="page registration-result-page">
+        <div class="page-title"><h1>Register</h1></div>
+        <div class="result">Your registration completed</div>
+        <input type="button" class="button-1 register-continue-button" value="Continue" onclick="location.href='/'">
+      </div>`, user, this.startSession(user, false));
+  }
+
+  recoverPassword({ form, response, forcedValidationError }) {
+    const email = (form.Email || '').trim();
+    let result;
+    const errors = {};
+    if (!email) {
+      errors.Email = 'Enter your email';
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.Email = 'Wrong email';
+    } else if (forcedValidationError) {
+      result = forcedValidationError;
+    } else {
+      result = this.users.has(email.toLowerCase())
+        ? 'Email with instructions has been sent to you.'
+        : 'Email not found.';
+    }
+    return this.sendPage(response, 200, 'Password Recovery', this.recoveryBody({ Email: email }, errors, result));
+  }
+
+  // Markup
+
+  homeBody(session) {
+    const greeting = session
+      ? `Welcome back, ${escapeHtml(session.firstName || session.email)}!`
+      : 'Welcome to our store';
+    return `<div class="page home-page"><div class="topic-html-content-title"><h2>${greeting}</h2></div></div>`;
+  }
+
+  loginBody(values = {}, errors = {}, summary = []) {
+    return `
+      <div class="page login-page">
+        <div class="page-title"><h1>Welcome, Please Sign In!</h1></div>
+        <div class="page-body">
+          <div class="customer-blocks">
+            <div class="new-wrapper register-block">
+              <div class="title"><strong>New Customer</strong></div>
+              <div class="buttons"><input type="button" class="button-1 register-button" value="Register" onclick="location.href='/register'"></div>
+            </div>
+            <div class="returning-wrapper">
+              <div class="title"><strong>Returning Customer</strong></div>
+              <form method="post" action="">
+                ${validationSummary('Login was unsuccessful. Please correct the errors and try again.', summary)}
+                <div class="form-fields">
+                  <div class="inputs">
+                    <label for="Email">Email:</label>
+                    <input class="email" id="Email" name="Email" type="text" value="${escapeHtml(values.Email)}">
+                    ${fieldError('Email', errors)}
+                  </div>
+                  <div class="inputs">
+                    <label for="Password">Password:</label>
+                    <input class="password" id="Password" name="Password" type="password">
+                    ${fieldError('Password', errors)}
+                  </div>
+                  <div class="inputs reversed">
+                    <input id="RememberMe" name="RememberMe" type="checkbox" value="true"${values.RememberMe ? ' checked' : ''}>
+                    <label for="RememberMe">Remember me?</label>
+                    <span class="forgot-password"><a href="/forgot-password">Forgot password?</a></span>
+                  </div>
+                </div>
+                <div class="buttons">
+                  <input class="button-1 login-button" type="submit" value="Log in">
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  registerBody(values = {}, errors = {}, summary = []) {
+    const input = (field, label, type = 'text') => `
+      <div class="inputs">
+        <label for="${field}">${label}:</label>
+        <input class="text-box single-line" id="${field}" name="${field}" type="${type}" value="${type === 'password' ? '' : escapeHtml(values[field])}">
+        ${fieldError(field, errors)}
+      </div>`;
+
+    return `
+      <div class="page registration-page">
+        <div class="page-title"><h1>Register</h1></div>
+        <form method="post" action="/register">
+          ${validationSummary('Registration failed. Please correct the errors and try again.', summary)}
+          <div class="fieldset"><div class="title"><strong>Your Personal Details</strong></div>
+            <div class="form-fields">
+              ${input('FirstName', 'First name')}
+              ${input('LastName', 'Last name')}
+              ${input('Email', 'Email')}
+            </div>
+          </div>
+          <div class="fieldset"><div class="title"><strong>Your Password</strong></div>
+            <div class="form-fields">
+              ${input('Password', 'Password', 'password')}
+              ${input('ConfirmPassword', 'Confirm password', 'password')}
+            </div>
+          </div>
+          <div class="buttons"><input type="submit" id="register-button" class="button-1 register-next-step-button" value="Register" name="register-button"></div>
+        </form>
+      </div>`;
+  }
+
+  recoveryBody(values = {}, errors = {}, result = '') {
+    return `
+      <div class="page password-recovery-page">
+        <div class="page-title"><h1>Password recovery</h1></div>
+        <div class="page-body">
+          ${result ? `<div class="result">${escapeHtml(result)}</div>` : ''}
+          <div class="tooltip">Please enter your email address below. You will receive a link to reset your password.</div>
+          <form method="post" action="/forgot-password">
+            <div class="form-fields">
+              <div class="inputs">
+                <label for="Email">Your email address:</label>
+                <input class="email" id="Email" name="Email" type="text" value="${escapeHtml(values.Email)}">
+                ${fieldError('Email', errors)}
+              </div>
+            </div>
+            <div class="buttons"><input type="submit" name="send-email" class="button-1 password-recovery-button" value="Recover"></div>
+          </form>
+        </div>
+      </div>`;
+  }
+
+  accountBody(user) {
+    return `
+      <div class="page account-page customer-info-page">
+        <div class="page-title"><h1>My account - Customer info</h1></div>
+        <div class="page-body">
+          <div class="inputs"><label for="FirstName">First name:</label><input id="FirstName" name="FirstName" type="text" value="${escapeHtml(user.firstName)}"></div>
+          <div class="inputs"><label for="LastName">Last name:</label><input id="LastName" name="LastName" type="text" value="${escapeHtml(user.lastName)}"></div>
+          <div class="inputs"><label for="Email">Email:</label><input id="Email" name="Email" type="text" value="${escapeHtml(user.email)}"></div>
+        </div>
+      </div>`;
+  }
+
+  headerLinks(session) {
+    const links = session
+      ? `<li><a href="/customer/info" class="account">${escapeHtml(session.email)}</a></li>` +
+        '<li><a href="/logout" class="ico-logout">Log out</a></li>'
+      : '<li><a href="/register" class="ico-register">Register</a></li>' +
+        '<li><a href="/login" class="ico-login">Log in</a></li>';
+    return `<div class="header-links"><ul>${links}</ul></div>`;
+  }
+
+  // Responses
+
+  sendPage(response, status, title, body, session = null, cookie = null) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Demo Web Shop. ${escapeHtml(title)}</title></head>
+<body>
+  <div class="master-wrapper-page">
+    <div class="header">
+      <div class="header-logo"><a href="/">Demo Web Shop</a></div>
+      ${this.headerLinks(session)}
+    </div>
+    <div class="master-wrapper-content">${body}</div>
+  </div>
+</body>
+</html>`;
+    const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+    if (cookie) {
+      headers['Set-Cookie'] = cookie;
+    }
+    response.writeHead(status, headers);
+    response.end(html);
+  }
+
+  redirect(response, location, cookie = null) {
+    const headers = { Location: location };
+    if (cookie) {
+      headers['Set-Cookie'] = cookie;
+    }
+    response.writeHead(302, headers);
+    response.end();
+  }
+
+  sendJson(response, status, body) {
+    if (body === undefined) {
+      response.writeHead(status);
+      return response.end();
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    return response.end(JSON.stringify(body));
+  }
+}
+
+// Standalone / forked usage: node mocks/demoShop.js [--port=3000] [--env=stage]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = args.find(arg => arg.startsWith('--port='))?.split('=')[1];
+  const environment = args.find(arg => arg.startsWith('--env='))?.split('=')[1];
+
+  // Seed the profile's test accounts so the login feature's credentials work
+  const { credentials } = loadEnvironmentProfile(environment || process.env.TEST_ENV);
+  const users = [
+    { firstName: 'Test', lastName: 'User', ...credentials.user },
+    { firstName: 'Admin', lastName: 'User', ...credentials.admin }
+  ].filter(user => user.email && user.password);
+
+  const server = new DemoShopServer({ port: port !== undefined ? parseInt(port) : undefined, users });
+  server.start().then(url => {
+    console.log(`🛒 Demo shop listening on ${url}`);
+    if (process.send) {
+      process.send({ type: 'ready', url });
+    }
+  }).catch(error => {
+    console.error('❌ Failed to start demo shop:', error);
+    process.exit(1);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  process.on('disconnect', shutdown);
+}
+
+module.exports = DemoShopServer;
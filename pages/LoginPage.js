@@ -1,20 +1,23 @@
 const LoginSelectors = require('../selectors/loginSelectors');
+const { MASK } = require('../support/redaction');
 
 class LoginPage {
-  constructor(page, webElements) {
+  constructor(page, webElements, profile, actionLogger = webElements.actionLogger) {
     this.page = page;
     this.webElements = webElements;
+    this.actionLogger = actionLogger;
+    this.profile = profile;
     this.selectors = LoginSelectors;
   }
 
   async navigateToLoginPage() {
     try {
-      const baseURL = process.env.BASE_URL || 'https://demowebshop.tricentis.com';
+      const baseURL = this.profile?.baseURL || process.env.BASE_URL || 'https://demowebshop.tricentis.com';
       await this.page.goto(`${baseURL}/login`);
       await this.waitForLoginPageToLoad();
-      console.log('✅ Navigated to login page successfully');
+      this.actionLogger.step('LoginPage.navigateToLoginPage');
     } catch (error) {
-      console.error('❌ Failed to navigate to login page:', error);
+      this.actionLogger.step('LoginPage.navigateToLoginPage', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -22,11 +25,11 @@ class LoginPage {
   async waitForLoginPageToLoad() {
     try {
       // Wait for any of the login form elements to be present
-      await this.page.waitForSelector(this.selectors.EMAIL_INPUT, { timeout: 10000 });
-      await this.page.waitForSelector(this.selectors.PASSWORD_INPUT, { timeout: 10000 });
-      console.log('✅ Login page loaded successfully');
+      await this.webElements.waitForElement(this.selectors.EMAIL_INPUT, { timeout: 10000 });
+      await this.webElements.waitForElement(this.selectors.PASSWORD_INPUT, { timeout: 10000 });
+      this.actionLogger.step('LoginPage.waitForLoginPageToLoad');
     } catch (error) {
-      console.error('❌ Login page failed to load:', error);
+      this.actionLogger.step('LoginPage.waitForLoginPageToLoad', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -35,9 +38,9 @@ class LoginPage {
     try {
       await this.webElements.click(this.selectors.LOGIN_LINK);
       await this.waitForLoginPageToLoad();
-      console.log('✅ Clicked login link successfully');
+      this.actionLogger.step('LoginPage.clickLoginLink');
     } catch (error) {
-      console.error('❌ Failed to click login link:', error);
+      this.actionLogger.step('LoginPage.clickLoginLink', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -45,9 +48,9 @@ class LoginPage {
   async enterEmail(email) {
     try {
       await this.webElements.type(this.selectors.EMAIL_INPUT, email);
-      console.log(`✅ Entered email: ${email}`);
+      this.actionLogger.step('LoginPage.enterEmail', 'passed', { value: email });
     } catch (error) {
-      console.error('❌ Failed to enter email:', error);
+      this.actionLogger.step('LoginPage.enterEmail', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -55,43 +58,21 @@ class LoginPage {
   async enterPassword(password) {
     try {
       await this.webElements.type(this.selectors.PASSWORD_INPUT, password);
-      console.log(`✅ Entered password: ${password.replace(/./g, '*')}`);
+      this.actionLogger.step('LoginPage.enterPassword', 'passed', { value: MASK });
     } catch (error) {
-      console.error('❌ Failed to enter password:', error);
+      this.actionLogger.step('LoginPage.enterPassword', 'failed', { error: error.message });
       throw error;
     }
   }
 
   async clickLoginButton() {
     try {
-      // Try multiple possible login button selectors
-      const buttonSelectors = [
-        this.selectors.LOGIN_BUTTON,
-        'input[type="submit"]',
-        'button[type="submit"]',
-        '.login-button',
-        '#login-button'
-      ];
+      // LOGIN_BUTTON lists the fallback buttons; WebElements records which one was used
+      await this.webElements.click(this.selectors.LOGIN_BUTTON);
       
-      let clicked = false;
-      for (const selector of buttonSelectors) {
-        try {
-          await this.webElements.click(selector);
-          clicked = true;
-          break;
-        } catch (e) {
-          // Try next selector
-          continue;
-        }
-      }
-      
-      if (!clicked) {
-        throw new Error('No login button found');
-      }
-      
-      console.log('✅ Clicked login button successfully');
+      this.actionLogger.step('LoginPage.clickLoginButton');
     } catch (error) {
-      console.error('❌ Failed to click login button:', error);
+      this.actionLogger.step('LoginPage.clickLoginButton', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -99,9 +80,9 @@ class LoginPage {
   async checkRememberMe() {
     try {
       await this.webElements.check(this.selectors.REMEMBER_ME_CHECKBOX);
-      console.log('✅ Checked remember me option');
+      this.actionLogger.step('LoginPage.checkRememberMe');
     } catch (error) {
-      console.error('❌ Failed to check remember me:', error);
+      this.actionLogger.step('LoginPage.checkRememberMe', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -109,9 +90,9 @@ class LoginPage {
   async uncheckRememberMe() {
     try {
       await this.webElements.uncheck(this.selectors.REMEMBER_ME_CHECKBOX);
-      console.log('✅ Unchecked remember me option');
+      this.actionLogger.step('LoginPage.uncheckRememberMe');
     } catch (error) {
-      console.error('❌ Failed to uncheck remember me:', error);
+      this.actionLogger.step('LoginPage.uncheckRememberMe', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -120,7 +101,7 @@ class LoginPage {
     try {
       return await this.webElements.isChecked(this.selectors.REMEMBER_ME_CHECKBOX);
     } catch (error) {
-      console.error('❌ Failed to check remember me status:', error);
+      this.actionLogger.step('LoginPage.isRememberMeChecked', 'failed', { error: error.message });
       return false;
     }
   }
@@ -128,9 +109,9 @@ class LoginPage {
   async clickForgotPassword() {
     try {
       await this.webElements.click(this.selectors.FORGOT_PASSWORD_LINK);
-      console.log('✅ Clicked forgot password link successfully');
+      this.actionLogger.step('LoginPage.clickForgotPassword');
     } catch (error) {
-      console.error('❌ Failed to click forgot password link:', error);
+      this.actionLogger.step('LoginPage.clickForgotPassword', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -145,9 +126,9 @@ class LoginPage {
       }
       
       await this.clickLoginButton();
-      console.log('✅ Login process completed');
+      this.actionLogger.step('LoginPage.login');
     } catch (error) {
-      console.error('❌ Login process failed:', error);
+      this.actionLogger.step('LoginPage.login', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -166,7 +147,7 @@ class LoginPage {
              pageContent.includes('My account') ||
              !pageContent.includes('Log in');
     } catch (error) {
-      console.error('❌ Failed to check login status:', error);
+      this.actionLogger.step('LoginPage.isLoginSuccessful', 'failed', { error: error.message });
       return false;
     }
   }
@@ -176,7 +157,7 @@ class LoginPage {
       const currentUrl = await this.page.url();
       return currentUrl.includes('/login');
     } catch (error) {
-      console.error('❌ Failed to check if login page is displayed:', error);
+      this.actionLogger.step('LoginPage.isLoginPageDisplayed', 'failed', { error: error.message });
       return false;
     }
   }
@@ -186,7 +167,7 @@ class LoginPage {
       const errorText = await this.webElements.getText(this.selectors.ERROR_MESSAGE);
       return errorText;
     } catch (error) {
-      console.error('❌ Failed to get error message:', error);
+      this.actionLogger.step('LoginPage.getErrorMessage', 'failed', { error: error.message });
       return '';
     }
   }
@@ -196,7 +177,7 @@ class LoginPage {
       const emailError = await this.webElements.getText(this.selectors.EMAIL_ERROR);
       return emailError;
     } catch (error) {
-      console.error('❌ Failed to get email error:', error);
+      this.actionLogger.step('LoginPage.getEmailError', 'failed', { error: error.message });
       return '';
     }
   }
@@ -206,7 +187,7 @@ class LoginPage {
       const passwordError = await this.webElements.getText(this.selectors.PASSWORD_ERROR);
       return passwordError;
     } catch (error) {
-      console.error('❌ Failed to get password error:', error);
+      this.actionLogger.step('LoginPage.getPasswordError', 'failed', { error: error.message });
       return '';
     }
   }
@@ -219,30 +200,21 @@ class LoginPage {
       
       return hasEmailError || hasPasswordError || hasGeneralError;
     } catch (error) {
-      console.error('❌ Failed to check validation errors:', error);
+      this.actionLogger.step('LoginPage.hasValidationErrors', 'failed', { error: error.message });
       return false;
     }
   }
 
   async getWelcomeMessage() {
     try {
-      // Try multiple possible welcome message selectors
-      const welcomeSelectors = [
-        this.selectors.WELCOME_MESSAGE,
-        '.welcome-message',
-        '.account-info',
-        '.user-info'
-      ];
-      
-      for (const selector of welcomeSelectors) {
-        try {
-          const welcomeText = await this.webElements.getText(selector);
-          if (welcomeText && welcomeText.trim()) {
-            return welcomeText;
-          }
-        } catch (e) {
-          continue;
+      // WELCOME_MESSAGE lists the known welcome message elements
+      try {
+        const welcomeText = await this.webElements.getText(this.selectors.WELCOME_MESSAGE);
+        if (welcomeText && welcomeText.trim()) {
+          return welcomeText;
         }
+      } catch (e) {
+        // Fall back to the page content below
       }
       
       // If no specific welcome message found, check page content
@@ -253,7 +225,7 @@ class LoginPage {
       
       return '';
     } catch (error) {
-      console.error('❌ Failed to get welcome message:', error);
+      this.actionLogger.step('LoginPage.getWelcomeMessage', 'failed', { error: error.message });
       return '';
     }
   }
@@ -261,9 +233,9 @@ class LoginPage {
   async clearEmailField() {
     try {
       await this.webElements.type(this.selectors.EMAIL_INPUT, '');
-      console.log('✅ Cleared email field');
+      this.actionLogger.step('LoginPage.clearEmailField');
     } catch (error) {
-      console.error('❌ Failed to clear email field:', error);
+      this.actionLogger.step('LoginPage.clearEmailField', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -271,9 +243,9 @@ class LoginPage {
   async clearPasswordField() {
     try {
       await this.webElements.type(this.selectors.PASSWORD_INPUT, '');
-      console.log('✅ Cleared password field');
+      this.actionLogger.step('LoginPage.clearPasswordField');
     } catch (error) {
-      console.error('❌ Failed to clear password field:', error);
+      this.actionLogger.step('LoginPage.clearPasswordField', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -282,9 +254,9 @@ class LoginPage {
     try {
       await this.clearEmailField();
       await this.clearPasswordField();
-      console.log('✅ Cleared all fields');
+      this.actionLogger.step('LoginPage.clearAllFields');
     } catch (error) {
-      console.error('❌ Failed to clear all fields:', error);
+      this.actionLogger.step('LoginPage.clearAllFields', 'failed', { error: error.message });
       throw error;
     }
   }
@@ -293,7 +265,7 @@ class LoginPage {
     try {
       return await this.webElements.getAttribute(this.selectors.EMAIL_INPUT, 'value');
     } catch (error) {
-      console.error('❌ Failed to get email value:', error);
+      this.actionLogger.step('LoginPage.getEmailValue', 'failed', { error: error.message });
       return '';
     }
   }
@@ -302,7 +274,7 @@ class LoginPage {
     try {
       return await this.webElements.getAttribute(this.selectors.PASSWORD_INPUT, 'value');
     } catch (error) {
-      console.error('❌ Failed to get password value:', error);
+      this.actionLogger.step('LoginPage.getPasswordValue', 'failed', { error: error.message });
       return '';
     }
   }
@@ -311,7 +283,7 @@ class LoginPage {
     try {
       return await this.webElements.isEnabled(this.selectors.EMAIL_INPUT);
     } catch (error) {
-      console.error('❌ Failed to check email field enabled status:', error);
+      this.actionLogger.step('LoginPage.isEmailFieldEnabled', 'failed', { error: error.message });
       return false;
     }
   }
@@ -320,7 +292,7 @@ class LoginPage {
     try {
       return await this.webElements.isEnabled(this.selectors.PASSWORD_INPUT);
     } catch (error) {
-      console.error('❌ Failed to check password field enabled status:', error);
+      this.actionLogger.step('LoginPage.isPasswordFieldEnabled', 'failed', { error: error.message });
       return false;
     }
   }
@@ -329,7 +301,7 @@ class LoginPage {
     try {
       return await this.webElements.isEnabled(this.selectors.LOGIN_BUTTON);
     } catch (error) {
-      console.error('❌ Failed to check login button enabled status:', error);
+      this.actionLogger.step('LoginPage.isLoginButtonEnabled', 'failed', { error: error.message });
       return false;
     }
   }
@@ -338,9 +310,9 @@ class LoginPage {
     try {
       // Wait for navigation or page change
       await this.page.waitForTimeout(3000);
-      console.log('✅ Login process wait completed');
+      this.actionLogger.step('LoginPage.waitForLoginProcess');
     } catch (error) {
-      console.error('❌ Failed to wait for login process:', error);
+      this.actionLogger.step('LoginPage.waitForLoginProcess', 'failed', { error: error.message });
       throw error;
     }
   }
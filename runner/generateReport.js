@@ -2,12 +2,191 @@ const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
 const reporter = require('cucumber-html-reporter');
+const { loadEnvironmentProfile, describeProfile } = require('../support/environment');
+const { RunHistory, scenarioId } = require('../support/runHistory');
+const { errorSignature } = require('../support/errorSignature');
+const { redactor } = require('../support/redaction');
+
+const OUTPUT_FORMATS = ['html', 'json', 'junit', 'trend'];
+
+// Worst status wins when a scenario's steps and hooks disagree
+const STATUS_PRIORITY = ['failed', 'ambiguous', 'undefined', 'pending', 'skipped', 'passed'];
+
+// Characters XML 1.0 does not allow, plus the ANSI colour codes cucumber puts in error messages
+// eslint-disable-next-line no-control-regex -- matching control characters is the point
+const INVALID_XML_CHARS = /\u001b\[[0-9;]*m|[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Cucumber reports step durations in nanoseconds; JUnit wants seconds
+const toSeconds = (nanoseconds) => (nanoseconds / 1000000000).toFixed(3);
+
+const describeStep = (step) => `${step.keyword.trim()} ${step.name || ''}`.trim();
+
+// Inline SVG charts for the trend dashboard; it has to open offline, so no chart library
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+
+/**
+ * Line chart of [{ label, value }] points with a tooltip per point. `format` renders the
+ * axis and tooltip values; `max` fixes the top of the y axis (e.g. 100 for percentages).
+ */
+const renderLineChart = (points, { width = 720, height = 220, max, format = String } = {}) => {
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const yMax = max || Math.max(...points.map(point => point.value), 1) * 1.1;
+  const x = (index) => CHART_PADDING.left + (points.length > 1 ? (index * plotWidth) / (points.length - 1) : plotWidth / 2);
+  const y = (value) => CHART_PADDING.top + plotHeight * (1 - value / yMax);
+
+  const gridLines = [0, 0.5, 1].map(fraction => [
+    `<line class="grid" x1="${CHART_PADDING.left}" x2="${width - CHART_PADDING.right}" y1="${y(yMax * fraction)}" y2="${y(yMax * fraction)}"/>`,
+    `<text class="axis" x="${CHART_PADDING.left - 6}" y="${y(yMax * fraction) + 4}" text-anchor="end">${escapeXml(format(yMax * fraction))}</text>`
+  ].join(''));
+  const xLabels = [0, points.length - 1].filter((index, position, all) => all.indexOf(index) === position).map(index =>
+    `<text class="axis" x="${x(index)}" y="${height - 8}" text-anchor="${index === 0 ? 'start' : 'end'}">${escapeXml(points[index].label)}</text>`
+  );
+  const markers = points.map((point, index) =>
+    `<circle cx="${x(index)}" cy="${y(point.value)}" r="3"><title>${escapeXml(point.label)}: ${escapeXml(format(point.value))}</title></circle>`
+  );
+
+  return [
+    `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">`,
+    ...gridLines,
+    ...xLabels,
+    `<polyline points="${points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ')}"/>`,
+    ...markers,
+    '</svg>'
+  ].join('');
+};
+
+// Small trend line for table cells; null values (runs without the scenario) are gaps
+const renderSparkline = (values, { width = 160, height = 28 } = {}) => {
+  const present = values.filter(value => value !== null);
+  const yMax = Math.max(...present, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const segments = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      segments.push([]);
+      return;
+    }
+    if (segments.length === 0) {
+      segments.push([]);
+    }
+    segments[segments.length - 1].push(`${(index * step).toFixed(1)},${(height - 2 - ((height - 4) * value) / yMax).toFixed(1)}`);
+  });
+  return [
+    `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...segments.filter(segment => segment.length > 0).map(segment => `<polyline points="${segment.join(' ')}"/>`),
+    '</svg>'
+  ].join('');
+};
+
+/**
+ * Stacked bar chart of [{ label, segments: [{ name, value, className }] }] with a tooltip
+ * per bar listing each segment.
+ */
+const renderStackedBars = (bars, { width = 720, height = 220 } = {}) => {
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const totals = bars.map(bar => bar.segments.reduce((total, segment) => total + segment.value, 0));
+  const yMax = Math.max(...totals, 1);
+  const slot = plotWidth / Math.max(bars.length, 1);
+  const barWidth = Math.max(Math.min(slot * 0.7, 40), 2);
+
+  const rects = bars.map((bar, index) => {
+    let offset = 0;
+    const left = CHART_PADDING.left + index * slot + (slot - barWidth) / 2;
+    const tooltip = [bar.label, ...bar.segments.map(segment => `${segment.name}: ${segment.value}`)].join('\n');
+    return [
+      '<g>',
+      `<title>${escapeXml(tooltip)}</title>`,
+      ...bar.segments.filter(segment => segment.value > 0).map(segment => {
+        const segmentHeight = (segment.value / yMax) * plotHeight;
+        offset += segmentHeight;
+        return `<rect class="${segment.className}" x="${left.toFixed(1)}" y="${(CHART_PADDING.top + plotHeight - offset).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${segmentHeight.toFixed(1)}"/>`;
+      }),
+      '</g>'
+    ].join('');
+  });
+
+  return [
+    `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">`,
+    `<line class="grid" x1="${CHART_PADDING.left}" x2="${width - CHART_PADDING.right}" y1="${CHART_PADDING.top + plotHeight}" y2="${CHART_PADDING.top + plotHeight}"/>`,
+    `<text class="axis" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${yMax}</text>`,
+    `<text class="axis" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + plotHeight + 4}" text-anchor="end">0</text>`,
+    ...rects,
+    bars.length > 0 ? `<text class="axis" x="${CHART_PADDING.left}" y="${height - 8}">${escapeXml(bars[0].label)}</text>` : '',
+    bars.length > 1 ? `<text class="axis" x="${width - CHART_PADDING.right}" y="${height - 8}" text-anchor="end">${escapeXml(bars[bars.length - 1].label)}</text>` : '',
+    '</svg>'
+  ].join('');
+};
+
+const formatDuration = (ms) => (ms >= 60000 ? `${(ms / 60000).toFixed(1)}m` : `${(ms / 1000).toFixed(1)}s`);
 
 class ReportGenerator {
   constructor() {
     this.reportsDir = path.join(__dirname, '../reports');
     this.cucumberReportFile = path.join(this.reportsDir, 'cucumber-report.json');
     this.htmlReportFile = path.join(this.reportsDir, 'cucumber-html-report.html');
+    this.comprehensiveReportFile = path.join(this.reportsDir, 'comprehensive-report.json');
+    this.detailedReportFile = path.join(this.reportsDir, 'detailed-report.json');
+    this.junitReportFile = path.join(this.reportsDir, 'junit-report.xml');
+    this.timelinesDir = path.join(this.reportsDir, 'timelines');
+    this.trendReportFile = path.join(this.reportsDir, 'trend-report.html');
+    this.runHistory = new RunHistory();
+  }
+
+  /**
+   * Write the report for one --format value: "html" (bootstrap HTML), "json" (the
+   * analysis in detailed-report.json), "junit" (JUnit XML for CI test widgets) or "trend"
+   * (the run history dashboard in trend-report.html). Reports are built from the cucumber
+   * JSON after support/redaction.js has masked secrets in it.
+   */
+  generate(format) {
+    switch (format) {
+    case 'html':
+      return this.generateHTMLReport();
+    case 'json':
+      return this.generateDetailedReport();
+    case 'junit':
+      return this.generateJUnitReport();
+    case 'trend':
+      return this.generateTrendReport();
+    default:
+      throw new Error(`Unknown report format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+  }
+
+  // Steps plus Before/After hooks, which cucumber lists separately when they have results
+  getScenarioSteps(scenario) {
+    return [...(scenario.before || []), ...scenario.steps, ...(scenario.after || [])]
+      .filter(step => step.result);
+  }
+
+  getScenarioStatus(scenario) {
+    const statuses = this.getScenarioSteps(scenario).map(step => step.result.status);
+    return STATUS_PRIORITY.find(status => statuses.includes(status)) || 'passed';
+  }
+
+  // Profile the run executed against, as stamped by the hooks; falls back to TEST_ENV
+  getRunProfile() {
+    try {
+      if (fs.existsSync(this.comprehensiveReportFile)) {
+        const report = JSON.parse(fs.readFileSync(this.comprehensiveReportFile, 'utf8'));
+        if (report.environment && report.environment.profile) {
+          return report.environment.profile;
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not read environment profile from comprehensive report:', error.message);
+    }
+    return describeProfile(loadEnvironmentProfile(process.env.TEST_ENV));
   }
 
   async generateHTMLReport() {
@@ -16,9 +195,12 @@ class ReportGenerator {
         console.log('❌ No cucumber JSON report found. Run tests first.');
         return;
       }
+      redactor.redactFile(this.cucumberReportFile);
 
       console.log('📊 Generating HTML report...');
 
+      const profile = this.getRunProfile();
+
       const options = {
         theme: 'bootstrap',
         jsonFile: this.cucumberReportFile,
@@ -28,7 +210,9 @@ class ReportGenerator {
         launchReport: false,
         metadata: {
           "App Version": "1.0.0",
-          "Test Environment": process.env.NODE_ENV || "development",
+          "Test Environment": profile.name,
+          "Base URL": profile.baseURL,
+          "API Base URL": profile.apiBaseURL || 'n/a',
           "Browser": process.env.BROWSER || "chromium",
           "Platform": process.platform,
           "Parallel": "Scenarios",
@@ -46,6 +230,8 @@ class ReportGenerator {
       };
 
       reporter.generate(options);
+      this.injectStepTimelines();
+      redactor.redactFile(this.htmlReportFile);
 
       console.log(`✅ HTML report generated: ${this.htmlReportFile}`);
 
@@ -55,22 +241,269 @@ class ReportGenerator {
     }
   }
 
+  // Timelines written by the AfterStep hook when step screenshots are on
+  loadStepTimelines() {
+    if (!fs.existsSync(this.timelinesDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.timelinesDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.timelinesDir, file), 'utf8')))
+      .sort((a, b) => `${a.feature} ${a.scenario}`.localeCompare(`${b.feature} ${b.scenario}`) || a.attempt - b.attempt);
+  }
+
+  /**
+   * Append a "Step Timelines" filmstrip section to the bootstrap HTML report: one row per
+   * scenario with each step's screenshot, status, duration and URL.
+   */
+  injectStepTimelines() {
+    const timelines = this.loadStepTimelines();
+    if (timelines.length === 0 || !fs.existsSync(this.htmlReportFile)) {
+      return;
+    }
+
+    const panelClass = { passed: 'success', failed: 'danger' };
+    const renderStep = (step) => {
+      const image = step.screenshot
+        ? `<a href="${escapeXml(step.screenshot)}" target="_blank"><img src="${escapeXml(step.screenshot)}" alt="Step ${step.index}"></a>`
+        : '<div class="filmstrip-empty">no screenshot</div>';
+      return [
+        `<figure class="filmstrip-frame filmstrip-${escapeXml(step.status)}">`,
+        image,
+        `<figcaption><strong>${step.index}. ${escapeXml(step.text)}</strong><br>`,
+        `${escapeXml(step.status)} &middot; ${(step.duration / 1000).toFixed(2)}s<br>`,
+        `<small>${escapeXml(step.url)}</small></figcaption>`,
+        '</figure>'
+      ].join('');
+    };
+
+    const panels = timelines.map(timeline => [
+      `<div class="panel panel-${panelClass[timeline.status] || 'warning'}">`,
+      `<div class="panel-heading">${escapeXml(timeline.feature)}: ${escapeXml(timeline.scenario)}`,
+      `${timeline.attempt > 1 ? ` (attempt ${timeline.attempt})` : ''} &mdash; ${escapeXml(timeline.status)}</div>`,
+      `<div class="panel-body filmstrip">${timeline.steps.map(renderStep).join('')}</div>`,
+      '</div>'
+    ].join(''));
+
+    const section = [
+      '<style>',
+      '.filmstrip { display: flex; overflow-x: auto; gap: 12px; }',
+      '.filmstrip-frame { flex: 0 0 240px; margin: 0; border-top: 4px solid #5cb85c; }',
+      '.filmstrip-failed { border-top-color: #d9534f; }',
+      '.filmstrip-skipped, .filmstrip-pending, .filmstrip-undefined { border-top-color: #f0ad4e; }',
+      '.filmstrip-frame img { width: 240px; display: block; }',
+      '.filmstrip-empty { height: 135px; line-height: 135px; text-align: center; background: #f5f5f5; color: #999; }',
+      '.filmstrip-frame figcaption { font-size: 12px; word-break: break-all; padding-top: 4px; }',
+      '</style>',
+      '<section id="step-timelines" class="container-fluid">',
+      '<h2>Step Timelines</h2>',
+      ...panels,
+      '</section>'
+    ].join('\n');
+
+    const html = fs.readFileSync(this.htmlReportFile, 'utf8');
+    const bodyEnd = html.lastIndexOf('</body>');
+    const updated = bodyEnd === -1
+      ? `${html}${section}`
+      : `${html.slice(0, bodyEnd)}${section}\n${html.slice(bodyEnd)}`;
+    fs.writeFileSync(this.htmlReportFile, updated);
+    console.log(`🎞️  Added ${timelines.length} step timeline(s) to the HTML report`);
+  }
+
+  /**
+   * Trends across the run records in reports/history (oldest first): pass rate and duration
+   * per run, the slowest scenarios, the most-failing steps and, per run, which failures are
+   * new (passed or absent in the previous run) and which are recurring.
+   */
+  analyzeTrends(runs) {
+    const summaries = runs.map(run => ({
+      timestamp: run.timestamp,
+      label: moment(run.timestamp).format('MM-DD HH:mm'),
+      ...(run.summary || RunHistory.summarize(run.scenarios))
+    }));
+
+    const scenarios = new Map();
+    const failingSteps = new Map();
+    const failureChanges = runs.map((run, index) => {
+      const previous = index > 0 ? runs[index - 1].scenarios : {};
+      const failures = { label: summaries[index].label, new: [], recurring: [] };
+
+      Object.entries(run.scenarios).forEach(([id, result]) => {
+        if (!scenarios.has(id)) {
+          scenarios.set(id, { id, feature: result.feature, name: result.name, durations: runs.map(() => null) });
+        }
+        scenarios.get(id).durations[index] = result.duration === undefined ? null : result.duration;
+
+        if (result.status !== 'failed') {
+          return;
+        }
+        const recurring = previous[id] && previous[id].status === 'failed';
+        failures[recurring ? 'recurring' : 'new'].push({ id, feature: result.feature, name: result.name, error: result.error });
+
+        const step = result.failedStep || '(unknown step)';
+        const entry = failingSteps.get(step) || { step, failures: 0, scenarios: new Set(), lastSeen: null, lastError: null };
+        entry.failures++;
+        entry.scenarios.add(id);
+        entry.lastSeen = summaries[index].label;
+        entry.lastError = result.error || entry.lastError;
+        failingSteps.set(step, entry);
+      });
+      return failures;
+    });
+
+    const average = (values) => {
+      const present = values.filter(value => value !== null);
+      return present.length > 0 ? present.reduce((total, value) => total + value, 0) / present.length : 0;
+    };
+
+    return {
+      runs: summaries,
+      failureChanges,
+      slowestScenarios: [...scenarios.values()]
+        .map(scenario => ({ ...scenario, average: Math.round(average(scenario.durations)) }))
+        .sort((a, b) => b.average - a.average)
+        .slice(0, 10),
+      failingSteps: [...failingSteps.values()]
+        .map(entry => ({ ...entry, scenarios: entry.scenarios.size }))
+        .sort((a, b) => b.failures - a.failures)
+        .slice(0, 10)
+    };
+  }
+
+  /**
+   * Write reports/trend-report.html from the last TREND_RUNS run records. The page is a
+   * single file with inline CSS and SVG, so it works offline and as a CI artifact.
+   */
+  generateTrendReport() {
+    try {
+      const runs = new RunHistory({ window: parseInt(process.env.TREND_RUNS, 10) || 30 }).loadRuns();
+      if (runs.length === 0) {
+        console.log('📈 No run history in reports/history yet; runner/run.js records one per run');
+        return;
+      }
+
+      console.log(`📈 Generating trend report from ${runs.length} run(s)...`);
+      fs.writeFileSync(this.trendReportFile, this.buildTrendDashboard(this.analyzeTrends(runs)));
+      // Records written before a secret was configured can still contain it
+      redactor.redactFile(this.trendReportFile);
+      console.log(`✅ Trend report generated: ${this.trendReportFile}`);
+
+    } catch (error) {
+      console.error('❌ Error generating trend report:', error);
+      throw error;
+    }
+  }
+
+  buildTrendDashboard(trends) {
+    const latest = trends.runs[trends.runs.length - 1];
+    const latestFailures = trends.failureChanges[trends.failureChanges.length - 1];
+    const table = (headings, rows, empty) => (rows.length === 0
+      ? `<p class="empty">${empty}</p>`
+      : [
+        `<table><thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead><tbody>`,
+        ...rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`),
+        '</tbody></table>'
+      ].join(''));
+    const scenarioCell = (scenario) =>
+      `${escapeXml(scenario.feature)} &ndash; ${escapeXml(scenario.name)}<br><small>${escapeXml(scenario.id)}</small>`;
+
+    const tiles = [
+      ['Runs', trends.runs.length],
+      ['Latest pass rate', `${latest.passRate}%`],
+      ['Latest duration', formatDuration(latest.duration)],
+      ['New failures', latestFailures.new.length],
+      ['Recurring failures', latestFailures.recurring.length]
+    ];
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en"><head><meta charset="utf-8">',
+      '<title>Test Trends</title>',
+      '<style>',
+      'body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 24px; color: #333; background: #fafafa; }',
+      'section { background: #fff; border: 1px solid #ddd; border-radius: 4px; padding: 16px; margin-bottom: 20px; }',
+      'h2 { margin-top: 0; font-size: 18px; }',
+      '.tiles { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 20px; }',
+      '.tile { background: #fff; border: 1px solid #ddd; border-radius: 4px; padding: 12px 18px; min-width: 140px; }',
+      '.tile strong { display: block; font-size: 24px; }',
+      '.chart { width: 100%; max-width: 960px; height: auto; }',
+      '.chart polyline, .sparkline polyline { fill: none; stroke: #337ab7; stroke-width: 2; }',
+      '.chart circle { fill: #337ab7; }',
+      '.chart .grid { stroke: #e5e5e5; }',
+      '.chart .axis { font-size: 11px; fill: #777; }',
+      '.chart .new { fill: #d9534f; }',
+      '.chart .recurring { fill: #f0ad4e; }',
+      '.legend span { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 12px; }',
+      'table { border-collapse: collapse; width: 100%; font-size: 13px; }',
+      'th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }',
+      'small { color: #888; }',
+      '.empty { color: #888; }',
+      '</style></head><body>',
+      '<h1>Test Trends</h1>',
+      `<p><small>${escapeXml(trends.runs[0].label)} to ${escapeXml(latest.label)} &middot; generated ${moment().format('YYYY-MM-DD HH:mm:ss')}</small></p>`,
+      `<div class="tiles">${tiles.map(([label, value]) => `<div class="tile">${label}<strong>${value}</strong></div>`).join('')}</div>`,
+      '<section><h2>Pass rate</h2>',
+      renderLineChart(trends.runs.map(run => ({ label: run.label, value: run.passRate })), { max: 100, format: value => `${Math.round(value)}%` }),
+      '</section>',
+      '<section><h2>Duration</h2>',
+      renderLineChart(trends.runs.map(run => ({ label: run.label, value: run.duration })), { format: formatDuration }),
+      '</section>',
+      '<section><h2>New versus recurring failures</h2>',
+      renderStackedBars(trends.failureChanges.map(change => ({
+        label: change.label,
+        segments: [
+          { name: 'New', value: change.new.length, className: 'new' },
+          { name: 'Recurring', value: change.recurring.length, className: 'recurring' }
+        ]
+      }))),
+      '<p class="legend"><span style="background:#d9534f"></span>New <span style="background:#f0ad4e"></span>Recurring (also failed in the previous run)</p>',
+      table(['Latest run', 'Scenario', 'Error'], [
+        ...latestFailures.new.map(failure => ['new', scenarioCell(failure), escapeXml(failure.error)]),
+        ...latestFailures.recurring.map(failure => ['recurring', scenarioCell(failure), escapeXml(failure.error)])
+      ], 'No failures in the latest run.'),
+      '</section>',
+      '<section><h2>Slowest scenarios</h2>',
+      table(['Scenario', 'Average', 'Duration per run'], trends.slowestScenarios.map(scenario => [
+        scenarioCell(scenario),
+        formatDuration(scenario.average),
+        renderSparkline(scenario.durations)
+      ]), 'No scenario durations recorded.'),
+      '</section>',
+      '<section><h2>Most-failing steps</h2>',
+      table(['Step', 'Failures', 'Scenarios', 'Last seen', 'Last error'], trends.failingSteps.map(entry => [
+        escapeXml(entry.step),
+        entry.failures,
+        entry.scenarios,
+        escapeXml(entry.lastSeen),
+        escapeXml(entry.lastError)
+      ]), 'No failing steps in the recorded runs.'),
+      '</section>',
+      '</body></html>'
+    ].join('\n');
+  }
+
   async generateDetailedReport() {
     try {
       if (!fs.existsSync(this.cucumberReportFile)) {
         console.log('❌ No cucumber JSON report found. Run tests first.');
         return;
       }
+      redactor.redactFile(this.cucumberReportFile);
 
       console.log('📊 Generating detailed report...');
 
       const reportData = JSON.parse(fs.readFileSync(this.cucumberReportFile, 'utf8'));
-      const detailedReport = this.analyzeReportData(reportData);
+      const runTimestamp = fs.statSync(this.cucumberReportFile).mtime.toISOString();
+      const previousRun = this.getPreviousRunClusters(runTimestamp);
+      const detailedReport = {
+        runTimestamp,
+        ...this.analyzeReportData(reportData, previousRun),
+        previousRun
+      };
 
-      const detailedReportFile = path.join(this.reportsDir, 'detailed-report.json');
-      fs.writeFileSync(detailedReportFile, JSON.stringify(detailedReport, null, 2));
+      fs.writeFileSync(this.detailedReportFile, JSON.stringify(detailedReport, null, 2));
 
-      console.log(`✅ Detailed report generated: ${detailedReportFile}`);
+      console.log(`✅ Detailed report generated: ${this.detailedReportFile}`);
       this.printReportSummary(detailedReport);
 
     } catch (error) {
@@ -79,7 +512,146 @@ class ReportGenerator {
     }
   }
 
-  analyzeReportData(reportData) {
+  /**
+   * Failure cluster ids of the run before this one: the last run-history record written
+   * before this report, so rerun attempts and ad-hoc report generations do not count.
+   * Records from before signatures were stored give no baseline.
+   */
+  getPreviousRunClusters(runTimestamp) {
+    try {
+      const previous = this.runHistory.loadRuns().filter(run => run.timestamp < runTimestamp).pop();
+      if (!previous) {
+        return null;
+      }
+      const failed = Object.values(previous.scenarios).filter(scenario => scenario.status === 'failed');
+      if (failed.some(scenario => !scenario.errorSignature)) {
+        return null;
+      }
+      return {
+        runTimestamp: previous.timestamp,
+        clusterIds: [...new Set(failed.map(scenario => scenario.errorSignature))]
+      };
+    } catch (error) {
+      console.warn('⚠️  Could not read the previous run from the history:', error.message);
+      return null;
+    }
+  }
+
+  generateJUnitReport() {
+    try {
+      if (!fs.existsSync(this.cucumberReportFile)) {
+        console.log('❌ No cucumber JSON report found. Run tests first.');
+        return;
+      }
+      redactor.redactFile(this.cucumberReportFile);
+
+      console.log('📊 Generating JUnit report...');
+
+      const reportData = JSON.parse(fs.readFileSync(this.cucumberReportFile, 'utf8'));
+      fs.writeFileSync(this.junitReportFile, this.buildJUnitXml(reportData));
+
+      console.log(`✅ JUnit report generated: ${this.junitReportFile}`);
+
+    } catch (error) {
+      console.error('❌ Error generating JUnit report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One <testsuite> per feature and one <testcase> per scenario. Failed, ambiguous and
+   * undefined scenarios get a <failure> carrying the error message and stack trace;
+   * pending and skipped ones get <skipped/>.
+   */
+  buildJUnitXml(reportData) {
+    const timestamp = moment().format('YYYY-MM-DDTHH:mm:ss');
+    const profile = this.getRunProfile();
+    const totals = { tests: 0, failures: 0, skipped: 0, duration: 0 };
+
+    const suites = reportData.map(feature => {
+      const elements = (feature.elements || []).filter(scenario => scenario.type !== 'background');
+      const suite = { tests: elements.length, failures: 0, skipped: 0, duration: 0 };
+      const nameCounts = elements.reduce((counts, scenario) => {
+        counts[scenario.name] = (counts[scenario.name] || 0) + 1;
+        return counts;
+      }, {});
+
+      const testcases = elements.map(scenario => {
+        const steps = this.getScenarioSteps(scenario);
+        const status = this.getScenarioStatus(scenario);
+        const duration = steps.reduce((total, step) => total + (step.result.duration || 0), 0);
+        suite.duration += duration;
+
+        // Scenario outline rows share a name; the line number keeps each testcase distinct
+        const name = nameCounts[scenario.name] > 1 ? `${scenario.name} (line ${scenario.line})` : scenario.name;
+        const lines = [
+          `    <testcase classname="${escapeXml(feature.name)}" name="${escapeXml(name)}" ` +
+          `file="${escapeXml(feature.uri)}" time="${toSeconds(duration)}">`
+        ];
+
+        if (['failed', 'ambiguous', 'undefined'].includes(status)) {
+          suite.failures++;
+          lines.push(this.buildJUnitFailure(steps.find(step => step.result.status === status), status));
+        } else if (status === 'pending' || status === 'skipped') {
+          suite.skipped++;
+          lines.push(`      <skipped message="${status}"/>`);
+        }
+
+        const stepLog = steps
+          .filter(step => !step.hidden || step.result.status === 'failed')
+          .map(step => `${describeStep(step)} ... ${step.result.status} (${toSeconds(step.result.duration || 0)}s)`)
+          .join('\n');
+        lines.push(`      <system-out>${escapeXml(stepLog)}</system-out>`);
+        lines.push('    </testcase>');
+        return lines.join('\n');
+      });
+
+      totals.tests += suite.tests;
+      totals.failures += suite.failures;
+      totals.skipped += suite.skipped;
+      totals.duration += suite.duration;
+
+      return [
+        `  <testsuite name="${escapeXml(feature.name)}" package="${escapeXml(feature.uri)}" ` +
+        `tests="${suite.tests}" failures="${suite.failures}" errors="0" skipped="${suite.skipped}" ` +
+        `time="${toSeconds(suite.duration)}" timestamp="${timestamp}">`,
+        '    <properties>',
+        `      <property name="environment" value="${escapeXml(profile.name)}"/>`,
+        `      <property name="baseURL" value="${escapeXml(profile.baseURL)}"/>`,
+        `      <property name="browser" value="${escapeXml(process.env.BROWSER || 'chromium')}"/>`,
+        '    </properties>',
+        ...testcases,
+        '  </testsuite>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Cucumber" tests="${totals.tests}" failures="${totals.failures}" errors="0" ` +
+      `skipped="${totals.skipped}" time="${toSeconds(totals.duration)}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  buildJUnitFailure(step, status) {
+    const stepName = describeStep(step);
+    const errorMessage = step.result.error_message || `${status === 'undefined' ? 'Undefined' : 'Ambiguous'} step: ${stepName}`;
+    const [firstLine] = errorMessage.split('\n');
+    const errorType = (firstLine.match(/^([A-Za-z]*Error)\b/) || [])[1] || status;
+
+    return `      <failure message="${escapeXml(firstLine)}" type="${escapeXml(errorType)}">` +
+      `${escapeXml(`Step: ${stepName}\n\n${errorMessage}`)}</failure>`;
+  }
+
+  /**
+   * `previousRun.clusterIds` are the failure clusters of the previous run; clusters not in
+   * it are flagged `isNew` (all of them when there is no previous run).
+   */
+  analyzeReportData(reportData, previousRun = null) {
+    const flakyScenarios = this.runHistory.getFlakyScenarios();
+    const flakyIds = new Set(flakyScenarios.map(scenario => scenario.id));
     const analysis = {
       summary: {
         totalFeatures: 0,
@@ -92,6 +664,10 @@ class ReportGenerator {
       features: [],
       scenarios: [],
       failures: [],
+      // Failures grouped by normalised error signature, largest first
+      clusters: [],
+      // Scenarios whose pass/fail flip rate across reports/history crosses the threshold
+      flaky: flakyScenarios,
       performance: {
         slowestScenarios: [],
         fastestScenarios: []
@@ -126,11 +702,11 @@ class ReportGenerator {
             skipped: 0
           },
           tags: scenario.tags.map(tag => tag.name),
-          line: scenario.line
+          line: scenario.line,
+          flaky: flakyIds.has(scenarioId(feature.uri, scenario.line))
         };
 
         let scenarioDuration = 0;
-        let hasFailure = false;
 
         scenario.steps.forEach(step => {
           if (step.result) {
@@ -138,24 +714,27 @@ class ReportGenerator {
             scenarioDuration += step.result.duration || 0;
 
             if (step.result.status === 'failed') {
-              hasFailure = true;
               analysis.failures.push({
                 feature: feature.name,
                 scenario: scenario.name,
                 step: step.name,
                 error: step.result.error_message,
-                line: scenario.line
+                line: scenario.line,
+                uri: feature.uri
               });
             }
           }
         });
 
         scenarioAnalysis.duration = scenarioDuration;
-        scenarioAnalysis.status = hasFailure ? 'failed' : 'passed';
+        scenarioAnalysis.status = this.getScenarioStatus(scenario);
 
-        if (hasFailure) {
+        if (['failed', 'ambiguous', 'undefined'].includes(scenarioAnalysis.status)) {
           analysis.summary.failed++;
           featureAnalysis.failed++;
+        } else if (scenarioAnalysis.status === 'pending' || scenarioAnalysis.status === 'skipped') {
+          analysis.summary.skipped++;
+          featureAnalysis.skipped++;
         } else {
           analysis.summary.passed++;
           featureAnalysis.passed++;
@@ -174,10 +753,34 @@ class ReportGenerator {
     analysis.scenarios.sort((a, b) => b.duration - a.duration);
     analysis.performance.slowestScenarios = analysis.scenarios.slice(0, 5);
     analysis.performance.fastestScenarios = analysis.scenarios.slice(-5).reverse();
+    analysis.clusters = this.clusterFailures(analysis.failures, previousRun);
 
     return analysis;
   }
 
+  clusterFailures(failures, previousRun) {
+    const previousIds = new Set(previousRun ? previousRun.clusterIds : []);
+    const clusters = new Map();
+
+    failures.forEach(failure => {
+      const { id, signature, message, frame } = errorSignature(failure.error);
+      failure.cluster = id;
+      if (!clusters.has(id)) {
+        clusters.set(id, { id, signature, message, frame, count: 0, isNew: !previousIds.has(id), scenarios: [] });
+      }
+      const cluster = clusters.get(id);
+      cluster.count++;
+      cluster.scenarios.push({
+        feature: failure.feature,
+        scenario: failure.scenario,
+        step: failure.step,
+        location: scenarioId(failure.uri, failure.line)
+      });
+    });
+
+    return [...clusters.values()].sort((a, b) => b.count - a.count);
+  }
+
   printReportSummary(analysis) {
     console.log('\n📈 Test Execution Summary');
     console.log('========================');
@@ -188,13 +791,30 @@ class ReportGenerator {
     console.log(`Skipped: ${analysis.summary.skipped} (${((analysis.summary.skipped / analysis.summary.totalScenarios) * 100).toFixed(1)}%)`);
     console.log(`Total Duration: ${(analysis.summary.duration / 1000000000).toFixed(2)}s`);
 
-    if (analysis.failures.length > 0) {
-      console.log('\n❌ Failures Summary');
+    // Failures are printed per cluster; the full list stays in detailed-report.json
+    if (analysis.clusters.length > 0) {
+      console.log(`\n❌ Failures Summary (${analysis.failures.length} failures in ${analysis.clusters.length} clusters)`);
       console.log('==================');
-      analysis.failures.forEach((failure, index) => {
-        console.log(`${index + 1}. ${failure.feature} - ${failure.scenario}`);
-        console.log(`   Step: ${failure.step}`);
-        console.log(`   Error: ${failure.error.substring(0, 100)}...`);
+      analysis.clusters.forEach((cluster, index) => {
+        console.log(`${index + 1}. ${cluster.isNew ? '🆕 ' : ''}${cluster.count} failure(s): ${cluster.message}`);
+        if (cluster.frame) {
+          console.log(`   at ${cluster.frame}`);
+        }
+        cluster.scenarios.slice(0, 5).forEach(scenario => {
+          console.log(`   - ${scenario.feature} - ${scenario.scenario} (${scenario.location})`);
+        });
+        if (cluster.scenarios.length > 5) {
+          console.log(`   ... and ${cluster.scenarios.length - 5} more`);
+        }
+      });
+    }
+
+    if (analysis.flaky.length > 0) {
+      console.log('\n🧊 Flaky Scenarios (quarantined)');
+      console.log('==============================');
+      analysis.flaky.forEach((scenario, index) => {
+        console.log(`${index + 1}. ${scenario.feature} - ${scenario.name} (${scenario.id})`);
+        console.log(`   Flip rate: ${(scenario.flipRate * 100).toFixed(0)}%, passed on retry in ${scenario.passedOnRetry} of ${scenario.runs} runs, last ${scenario.lastStatus}`);
       });
     }
 
@@ -214,6 +834,7 @@ class ReportGenerator {
         console.log('❌ No cucumber JSON report found. Run tests first.');
         return;
       }
+      redactor.redactFile(this.cucumberReportFile);
 
       const reportData = JSON.parse(fs.readFileSync(this.cucumberReportFile, 'utf8'));
       const feature = reportData.find(f => f.name.toLowerCase().includes(featureName.toLowerCase()));
@@ -284,6 +905,7 @@ if (require.main === module) {
   const args = process.argv.slice(2);
 
   const options = {
+    format: args.find(arg => arg.startsWith('--format='))?.split('=')[1],
     html: args.includes('--html'),
     detailed: args.includes('--detailed'),
     feature: args.find(arg => arg.startsWith('--feature='))?.split('=')[1],
@@ -292,7 +914,13 @@ if (require.main === module) {
 
   (async () => {
     try {
-      if (options.html) {
+      if (options.format) {
+        // One at a time: every format redacts and reads cucumber-report.json
+        for (const format of options.format.split(',')) {
+          // eslint-disable-next-line no-await-in-loop -- sequential on purpose
+          await reportGenerator.generate(format.trim());
+        }
+      } else if (options.html) {
         await reportGenerator.generateHTMLReport();
       } else if (options.detailed) {
         await reportGenerator.generateDetailedReport();
@@ -302,8 +930,10 @@ if (require.main === module) {
         await reportGenerator.cleanupOldReports(parseInt(options.cleanup));
       } else {
         // Generate all reports by default
-        await reportGenerator.generateHTMLReport();
-        await reportGenerator.generateDetailedReport();
+        for (const format of OUTPUT_FORMATS) {
+          // eslint-disable-next-line no-await-in-loop -- sequential on purpose, as above
+          await reportGenerator.generate(format);
+        }
       }
     } catch (error) {
       console.error('❌ Report generation failed:', error);
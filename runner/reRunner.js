@@ -1,12 +1,84 @@
 const fs = require('fs');
 const path = require('path');
 const TestRunner = require('./run');
+const { scenarioId, scenarioStatus } = require('../support/runHistory');
+
+/**
+ * Parse Cucumber rerun formatter output ("features/a.feature:12:19", one feature per line)
+ * into "uri:line" scenario ids.
+ */
+const parseRerunLocations = (text) => text
+  .split(/\s+/)
+  .filter(Boolean)
+  .flatMap(entry => {
+    const [, uri, lines] = entry.match(/^(.+?)((?::\d+)+)$/) || [null, entry, ''];
+    return lines ? lines.slice(1).split(':').map(line => scenarioId(uri, line)) : [];
+  });
+
+// Inverse of parseRerunLocations, grouping the lines of each feature file
+const formatRerunLocations = (ids) => {
+  const byUri = new Map();
+  ids.forEach(id => {
+    const separator = id.lastIndexOf(':');
+    const uri = id.slice(0, separator);
+    byUri.set(uri, [...(byUri.get(uri) || []), id.slice(separator + 1)]);
+  });
+  return [...byUri].map(([uri, lines]) => `${uri}:${lines.join(':')}`).join('\n');
+};
 
 class ReRunner {
   constructor() {
     this.reportsDir = path.join(__dirname, '../reports');
     this.failedScenariosFile = path.join(this.reportsDir, 'failed-scenarios.json');
     this.cucumberReportFile = path.join(this.reportsDir, 'cucumber-report.json');
+    this.rerunFile = path.join(this.reportsDir, '@rerun.txt');
+    this.rerunReportFile = path.join(this.reportsDir, 'rerun-report.json');
+    this.attemptsDir = path.join(this.reportsDir, 'reruns');
+  }
+
+  readCucumberReport(reportFile = this.cucumberReportFile) {
+    if (!fs.existsSync(reportFile)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  }
+
+  /**
+   * Scenario results of the last run (or of `reportFile`) keyed by "uri:line". Outline
+   * examples are keyed by their Examples row, so each example is rerun on its own.
+   */
+  getScenarioResults(reportFile = this.cucumberReportFile) {
+    const results = new Map();
+    this.readCucumberReport(reportFile).forEach(feature => {
+      feature.elements
+        .filter(element => element.type !== 'background')
+        .forEach(element => {
+          const failedStep = element.steps.find(step => step.result && step.result.error_message);
+          results.set(scenarioId(feature.uri, element.line), {
+            id: scenarioId(feature.uri, element.line),
+            feature: feature.name,
+            scenario: element.name,
+            tags: element.tags.map(tag => tag.name).join(' '),
+            line: element.line,
+            status: scenarioStatus(element),
+            error: failedStep ? failedStep.result.error_message.split('\n')[0] : undefined
+          });
+        });
+    });
+    return results;
+  }
+
+  /**
+   * Failed scenario ids from the rerun formatter output (reports/@rerun.txt). Scenarios the
+   * JSON report shows as skipped (e.g. quarantined) are left out.
+   */
+  getFailedLocations() {
+    if (!fs.existsSync(this.rerunFile)) {
+      return [];
+    }
+    const results = this.getScenarioResults();
+    return parseRerunLocations(fs.readFileSync(this.rerunFile, 'utf8'))
+      .filter(id => !results.has(id) || results.get(id).status === 'failed');
   }
 
   async getFailedScenarios() {
@@ -16,23 +88,7 @@ class ReRunner {
         return [];
       }
 
-      const reportData = JSON.parse(fs.readFileSync(this.cucumberReportFile, 'utf8'));
-      const failedScenarios = [];
-
-      reportData.forEach(feature => {
-        feature.elements.forEach(scenario => {
-          if (scenario.steps.some(step => step.result.status === 'failed')) {
-            failedScenarios.push({
-              feature: feature.name,
-              scenario: scenario.name,
-              tags: scenario.tags.map(tag => tag.name).join(' '),
-              line: scenario.line
-            });
-          }
-        });
-      });
-
-      return failedScenarios;
+      return [...this.getScenarioResults().values()].filter(scenario => scenario.status === 'failed');
     } catch (error) {
       console.error('❌ Error reading failed scenarios:', error);
       return [];
@@ -48,105 +104,194 @@ class ReRunner {
     }
   }
 
-  async rerunFailedScenarios(options = {}) {
+  /**
+   * Rerun the last run's failed scenarios by exact "uri:line", up to maxAttempts times;
+   * each attempt reruns only what is still failing. Every attempt is merged into
+   * reports/rerun-report.json (attempt 1 is the original run). Resolves with the final
+   * verdict for the whole run: "passed" or "failed".
+   *
+   * Attempts write their Cucumber reports to reports/reruns/attempt-<n>/, so
+   * reports/cucumber-report.json stays the original run for `npm run report`, and are not
+   * added to the run history as runs of their own.
+   */
+  async rerunFailedScenarios(options = {}, maxAttempts = 1) {
     try {
       console.log('🔄 Starting re-run of failed scenarios...');
 
-      // Get failed scenarios from the last run
-      const failedScenarios = await this.getFailedScenarios();
+      // Read before the first attempt overwrites cucumber-report.json and @rerun.txt
+      const initialResults = this.getScenarioResults();
+      let locations = this.getFailedLocations();
 
-      if (failedScenarios.length === 0) {
+      if (locations.length === 0) {
         console.log('✅ No failed scenarios to re-run');
-        return;
+        return 'passed';
       }
 
-      console.log(`📋 Found ${failedScenarios.length} failed scenarios to re-run:`);
-      failedScenarios.forEach((scenario, index) => {
-        console.log(`   ${index + 1}. ${scenario.feature} - ${scenario.scenario}`);
+      console.log(`📋 Found ${locations.length} failed scenarios to re-run:`);
+      locations.forEach((id, index) => {
+        const scenario = initialResults.get(id);
+        console.log(`   ${index + 1}. ${scenario ? `${scenario.feature} - ${scenario.scenario}` : ''} (${id})`);
       });
 
       // Save failed scenarios for reference
-      await this.saveFailedScenarios(failedScenarios);
-
-      // Build tags for failed scenarios
-      const failedTags = failedScenarios.map(scenario => scenario.tags).filter(tags => tags);
-      const uniqueTags = [...new Set(failedTags.flat())];
+      await this.saveFailedScenarios(locations.map(id => initialResults.get(id) || { id }));
 
-      // Create a tag filter for failed scenarios
-      const tagFilter = uniqueTags.length > 0 ? uniqueTags.join(' or ') : '';
+      const consolidated = new Map([...initialResults].map(([id, scenario]) => [id, {
+        id,
+        feature: scenario.feature,
+        scenario: scenario.scenario,
+        attempts: [{ attempt: 1, status: scenario.status, error: scenario.error }],
+        passedOnAttempt: scenario.status === 'passed' ? 1 : null,
+        finalStatus: scenario.status
+      }]));
 
-      // Run tests with failed scenario tags
       const runner = new TestRunner();
-      const rerunOptions = {
-        ...options,
-        tags: tagFilter
-      };
-
-      console.log(`🏷️  Re-running with tags: ${tagFilter}`);
-      await runner.runTests(rerunOptions);
-
-      // Check if re-run was successful
-      const newFailedScenarios = await this.getFailedScenarios();
-      
-      if (newFailedScenarios.length === 0) {
-        console.log('✅ All previously failed scenarios passed on re-run!');
-      } else {
-        console.log(`⚠️  ${newFailedScenarios.length} scenarios still failed after re-run`);
-        newFailedScenarios.forEach((scenario, index) => {
-          console.log(`   ${index + 1}. ${scenario.feature} - ${scenario.scenario}`);
-        });
+      let attempt = 1;
+      while (locations.length > 0 && attempt <= maxAttempts) {
+        attempt++;
+        console.log(`\n🔄 Attempt ${attempt - 1}/${maxAttempts}: re-running ${locations.length} scenario(s)`);
+        // Each attempt reruns only what the previous one left failing
+        // eslint-disable-next-line no-await-in-loop -- sequential on purpose
+        locations = await this.runAttempt(runner, locations, attempt, consolidated, options);
       }
 
+      return this.writeRerunReport(consolidated, attempt, maxAttempts);
+
     } catch (error) {
       console.error('❌ Error during re-run:', error);
       throw error;
     }
   }
 
-  async rerunWithRetry(maxRetries = 3) {
+  /**
+   * Run one attempt from a rerun file (reports/@rerun-attempt-N.txt; cucumber-js only reads
+   * paths whose file name starts with "@" as rerun files), merge its results and return
+   * the ids that still failed.
+   */
+  async runAttempt(runner, locations, attempt, consolidated, options) {
+    const projectRoot = path.join(__dirname, '..');
+    const attemptFile = path.join(this.reportsDir, `@rerun-attempt-${attempt - 1}.txt`);
+    const attemptDir = path.join(this.attemptsDir, `attempt-${attempt - 1}`);
+    const attemptReport = path.join(attemptDir, 'cucumber-report.json');
+    fs.writeFileSync(attemptFile, formatRerunLocations(locations));
+    fs.rmSync(attemptDir, { recursive: true, force: true });
+
+    const attemptStartedAt = Date.now();
     try {
-      console.log(`🔄 Starting re-run with max ${maxRetries} retries...`);
-
-      let attempt = 1;
-      let failedScenarios = await this.getFailedScenarios();
-
-      while (failedScenarios.length > 0 && attempt <= maxRetries) {
-        console.log(`\n🔄 Attempt ${attempt}/${maxRetries}`);
-        console.log(`📋 Re-running ${failedScenarios.length} failed scenarios...`);
-
-        await this.rerunFailedScenarios({ retry: 1 });
-
-        failedScenarios = await this.getFailedScenarios();
-        attempt++;
+      await runner.runTests({
+        ...options,
+        features: path.relative(projectRoot, attemptFile),
+        reportDir: path.relative(projectRoot, attemptDir),
+        recordHistory: false
+      });
+    } catch (error) {
+      // Cucumber exits non-zero while scenarios still fail, and the report tells which. Without
+      // a report from this attempt the run itself failed (e.g. a fixture server did not start)
+      if (!fs.existsSync(attemptReport) || fs.statSync(attemptReport).mtimeMs < attemptStartedAt) {
+        throw error;
       }
+    }
+    if (!fs.existsSync(attemptReport)) {
+      throw new Error(`Re-run attempt ${attempt - 1} did not write ${attemptReport}`);
+    }
 
-      if (failedScenarios.length === 0) {
-        console.log('✅ All scenarios passed after re-runs!');
-      } else {
-        console.log(`❌ ${failedScenarios.length} scenarios still failed after ${maxRetries} attempts`);
-        console.log('📋 Final failed scenarios:');
-        failedScenarios.forEach((scenario, index) => {
-          console.log(`   ${index + 1}. ${scenario.feature} - ${scenario.scenario}`);
-        });
+    const results = this.getScenarioResults(attemptReport);
+    return locations.filter(id => {
+      const result = results.get(id) || { status: 'failed', error: 'No result in cucumber-report.json' };
+      const entry = consolidated.get(id) || { id, attempts: [], passedOnAttempt: null };
+      Object.assign(entry, {
+        feature: result.feature || entry.feature,
+        scenario: result.scenario || entry.scenario,
+        finalStatus: result.status
+      });
+      entry.attempts.push({ attempt, status: result.status, error: result.error });
+      if (result.status === 'passed') {
+        entry.passedOnAttempt = attempt;
       }
+      consolidated.set(id, entry);
+      return result.status === 'failed';
+    });
+  }
 
+  writeRerunReport(consolidated, attempts, maxAttempts) {
+    const scenarios = [...consolidated.values()];
+    const failed = scenarios.filter(scenario => scenario.finalStatus === 'failed');
+    const passedOnRerun = scenarios.filter(scenario => scenario.passedOnAttempt > 1);
+    const verdict = failed.length === 0 ? 'passed' : 'failed';
+
+    fs.writeFileSync(this.rerunReportFile, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      verdict,
+      attempts,
+      maxAttempts: maxAttempts + 1,
+      // Attempt 1 is reports/cucumber-report.json
+      attemptReports: Array.from({ length: attempts - 1 }, (_value, index) =>
+        path.relative(path.join(__dirname, '..'), path.join(this.attemptsDir, `attempt-${index + 1}`, 'cucumber-report.json'))),
+      summary: {
+        total: scenarios.length,
+        passed: scenarios.filter(scenario => scenario.finalStatus === 'passed').length,
+        failed: failed.length,
+        skipped: scenarios.filter(scenario => scenario.finalStatus === 'skipped').length,
+        passedOnRerun: passedOnRerun.length
+      },
+      scenarios
+    }, null, 2));
+    console.log(`\n💾 Consolidated re-run report: ${this.rerunReportFile}`);
+
+    passedOnRerun.forEach(scenario => {
+      console.log(`   🔁 ${scenario.feature} - ${scenario.scenario} passed on attempt ${scenario.passedOnAttempt}`);
+    });
+    if (verdict === 'passed') {
+      console.log('✅ All previously failed scenarios passed on re-run!');
+    } else {
+      console.log(`❌ ${failed.length} scenarios still failed after ${attempts - 1} re-run(s)`);
+      failed.forEach((scenario, index) => {
+        console.log(`   ${index + 1}. ${scenario.feature} - ${scenario.scenario} (${scenario.id})`);
+      });
+    }
+    return verdict;
+  }
+
+  async rerunWithRetry(maxRetries = 3, options = {}) {
+    try {
+      console.log(`🔄 Starting re-run with max ${maxRetries} retries...`);
+      return await this.rerunFailedScenarios(options, maxRetries);
     } catch (error) {
       console.error('❌ Error during retry re-run:', error);
       throw error;
     }
   }
 
-  async rerunSpecificScenarios(scenarioNames, options = {}) {
+  /**
+   * Rerun scenarios given as "uri:line" locations or by scenario name; names are looked up
+   * in the last cucumber report (every example of a Scenario Outline matches). Resolves
+   * with "passed" or "failed".
+   */
+  async rerunSpecificScenarios(scenarios, options = {}) {
     try {
-      console.log(`🔄 Re-running specific scenarios: ${scenarioNames.join(', ')}`);
+      console.log(`🔄 Re-running specific scenarios: ${scenarios.join(', ')}`);
 
-      const runner = new TestRunner();
-      const rerunOptions = {
-        ...options,
-        features: scenarioNames.map(name => `features/${name}.feature`).join(' ')
-      };
+      const results = [...this.getScenarioResults().values()];
+      const locations = scenarios.flatMap(scenario => {
+        if (/:\d+$/.test(scenario)) {
+          return [scenario];
+        }
+        const matches = results.filter(result => result.scenario.toLowerCase() === scenario.toLowerCase());
+        if (matches.length === 0) {
+          throw new Error(`Scenario "${scenario}" not found in ${this.cucumberReportFile}; pass it as <feature>:<line>`);
+        }
+        return matches.map(result => result.id);
+      });
 
-      await runner.runTests(rerunOptions);
+      // Run as the first re-run attempt (reports/reruns/attempt-1/), so the original run's
+      // report and the run history are left alone
+      const stillFailing = await this.runAttempt(new TestRunner(), locations, 2, new Map(), options);
+      if (stillFailing.length === 0) {
+        console.log(`✅ ${locations.length} scenario(s) passed on re-run`);
+        return 'passed';
+      }
+      console.log(`❌ ${stillFailing.length} of ${locations.length} scenario(s) still failed: ${stillFailing.join(', ')}`);
+      return 'failed';
 
     } catch (error) {
       console.error('❌ Error re-running specific scenarios:', error);
@@ -154,11 +299,11 @@ class ReRunner {
     }
   }
 
-  async rerunWithDifferentBrowser(browser) {
+  async rerunWithDifferentBrowser(browser, options = {}) {
     try {
       console.log(`🔄 Re-running failed scenarios with ${browser} browser...`);
 
-      await this.rerunFailedScenarios({ browser });
+      return await this.rerunFailedScenarios({ ...options, browser });
 
     } catch (error) {
       console.error('❌ Error re-running with different browser:', error);
@@ -166,11 +311,11 @@ class ReRunner {
     }
   }
 
-  async rerunInHeadedMode() {
+  async rerunInHeadedMode(options = {}) {
     try {
       console.log('🔄 Re-running failed scenarios in headed mode...');
 
-      await this.rerunFailedScenarios({ headed: true });
+      return await this.rerunFailedScenarios({ ...options, headed: true });
 
     } catch (error) {
       console.error('❌ Error re-running in headed mode:', error);
@@ -208,7 +353,9 @@ class ReRunner {
     try {
       const filesToClean = [
         this.cucumberReportFile,
-        this.failedScenariosFile
+        this.failedScenariosFile,
+        this.rerunFile,
+        this.rerunReportFile
       ];
 
       filesToClean.forEach(file => {
@@ -217,6 +364,10 @@ class ReRunner {
           console.log(`🗑️  Cleaned up: ${path.basename(file)}`);
         }
       });
+      if (fs.existsSync(this.attemptsDir)) {
+        fs.rmSync(this.attemptsDir, { recursive: true, force: true });
+        console.log(`🗑️  Cleaned up: ${path.basename(this.attemptsDir)}/`);
+      }
 
       console.log('✅ Reports cleanup completed');
 
@@ -240,22 +391,31 @@ if (require.main === module) {
     scenarios: args.find(arg => arg.startsWith('--scenarios='))?.split('=')[1]?.split(',')
   };
 
+  // Reruns use the original run's flags (--env, --device, --tags, fixture servers, ...).
+  // --retry here counts rerun attempts and --quarantine would replace the rerun locations,
+  // so neither reaches Cucumber
+  const runOptions = { ...TestRunner.parseRunOptions(args), retry: undefined, quarantine: undefined };
+
   (async () => {
     try {
+      let verdict;
       if (options.report) {
         await reRunner.getFailedScenariosReport();
       } else if (options.cleanup) {
         await reRunner.cleanupReports();
       } else if (options.scenarios) {
-        await reRunner.rerunSpecificScenarios(options.scenarios);
+        verdict = await reRunner.rerunSpecificScenarios(options.scenarios, runOptions);
       } else if (options.browser) {
-        await reRunner.rerunWithDifferentBrowser(options.browser);
+        verdict = await reRunner.rerunWithDifferentBrowser(options.browser, runOptions);
       } else if (options.headed) {
-        await reRunner.rerunInHeadedMode();
+        verdict = await reRunner.rerunInHeadedMode(runOptions);
       } else if (options.retry) {
-        await reRunner.rerunWithRetry(parseInt(options.retry));
+        verdict = await reRunner.rerunWithRetry(parseInt(options.retry), runOptions);
       } else {
-        await reRunner.rerunFailedScenarios();
+        verdict = await reRunner.rerunFailedScenarios(runOptions);
+      }
+      if (verdict === 'failed') {
+        process.exitCode = 1;
       }
     } catch (error) {
       console.error('❌ Re-run failed:', error);
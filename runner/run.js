@@ -1,20 +1,157 @@
-const { execSync } = require('child_process');
+const { execSync, fork } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { loadEnvironmentProfile } = require('../support/environment');
+const { RunHistory } = require('../support/runHistory');
+const ReportShards = require('../support/reportShards');
+const { publishRunSummary } = require('../support/runSummary');
+const { redactor } = require('../support/redaction');
 
 class TestRunner {
   constructor() {
     this.cucumberPath = path.join(__dirname, '../node_modules/.bin/cucumber-js');
     this.reportsDir = path.join(__dirname, '../reports');
+    this.runHistory = new RunHistory();
+    this.fixtureServers = {
+      mockApi: { name: 'Mock API', script: path.join(__dirname, '../mocks/apiServer.js'), worldParam: 'apiBaseUrl' },
+      localApp: { name: 'Demo shop', script: path.join(__dirname, '../mocks/demoShop.js'), worldParam: 'baseUrl' }
+    };
+  }
+
+  /**
+   * Start a bundled fixture server (mocks/) in a child process and resolve with its
+   * base URL once it is listening. Cucumber runs synchronously below, so the server
+   * cannot share this process's event loop.
+   */
+  startFixtureServer(fixture, environment) {
+    return new Promise((resolve, reject) => {
+      const args = environment ? [`--env=${environment}`] : [];
+      const child = fork(fixture.script, args, { stdio: 'inherit' });
+
+      child.once('message', message => {
+        if (message && message.type === 'ready') {
+          console.log(`🧪 ${fixture.name} started at ${message.url}`);
+          resolve({ fixture, process: child, url: message.url });
+        }
+      });
+      child.once('error', reject);
+      child.once('exit', code => reject(new Error(`${fixture.name} exited before it was ready (code ${code})`)));
+    });
+  }
+
+  stopFixtureServer(server) {
+    if (server.process.connected) {
+      server.process.disconnect();
+      console.log(`🧪 ${server.fixture.name} stopped`);
+    }
+  }
+
+  // Step text and error messages in Cucumber's own reports can contain secrets; attachments
+  // are redacted when they are attached (see support/world.js)
+  redactReports(reportsDir = this.reportsDir) {
+    ['cucumber-report.json', 'cucumber-report.html'].forEach(file => {
+      try {
+        redactor.redactFile(path.join(reportsDir, file));
+      } catch (error) {
+        console.error(`❌ Failed to redact ${file}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Merge the worker shards of this run and publish the run-wide reports and notification;
+   * resolves with the merged data, or null. Runs after cucumber has exited, so a worker that
+   * died before AfterAll is missing from the summary instead of stopping it.
+   */
+  async publishRunSummary(runId, options) {
+    try {
+      const shards = new ReportShards(path.resolve(__dirname, '..', process.env.REPORT_PATH || 'reports'), runId);
+      const merged = shards.mergeAvailable();
+      if (!merged) {
+        console.log('⚠️ No worker shards to merge, skipping the run summary');
+        return null;
+      }
+
+      const expectedWorkers = parseInt(options.parallel, 10) || 1;
+      if (merged.workers.length < expectedWorkers) {
+        console.log(`⚠️ Only ${merged.workers.length} of ${expectedWorkers} workers wrote a shard; the run summary covers those`);
+      }
+      await publishRunSummary(merged);
+      return merged;
+    } catch (error) {
+      console.error('❌ Failed to merge report shards:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Append this run to reports/history and refresh the quarantine list. `retries` are the
+   * attempts cucumber retried, from the merged worker shards. Skipped when Cucumber did not
+   * write a report for this run (e.g. it failed to start).
+   */
+  recordRunHistory(runStartedAt, options, retries = [], reportsDir = this.reportsDir) {
+    const reportPath = path.join(reportsDir, 'cucumber-report.json');
+    if (!fs.existsSync(reportPath) || fs.statSync(reportPath).mtimeMs < runStartedAt) {
+      return;
+    }
+
+    try {
+      const quarantined = new Set(this.runHistory.getQuarantine().map(entry => entry.id));
+      this.runHistory.recordRun(JSON.parse(fs.readFileSync(reportPath, 'utf8')), {
+        environment: options.environment || process.env.TEST_ENV || 'default',
+        browser: options.browser || process.env.BROWSER || 'chromium',
+        tags: options.tags,
+        quarantine: options.quarantine
+      }, retries);
+
+      const flaky = this.runHistory.updateQuarantine();
+      flaky.filter(scenario => !quarantined.has(scenario.id)).forEach(scenario => {
+        console.log(`🧊 Quarantined flaky scenario ${scenario.id} (${scenario.name}, flip rate ${scenario.flipRate}, passed on retry rate ${scenario.retryRate})`);
+      });
+      if (flaky.length > 0) {
+        console.log(`🧊 ${flaky.length} scenario(s) in quarantine: ${this.runHistory.quarantineFile}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to update run history:', error.message);
+    }
   }
 
   async runTests(options = {}) {
+    const fixtureServers = [];
+    const runStartedAt = Date.now();
+    // Workers write their report shards under this id; merged below once cucumber exits
+    const runId = `${runStartedAt}-${process.pid}`;
+    // Cucumber's json/html/rerun output; reruns pass their own directory so the original
+    // run's reports are kept (cucumber.js reads it as CUCUMBER_REPORT_DIR)
+    const reportDir = options.reportDir || 'reports';
+    const reportsDir = path.join(__dirname, '..', reportDir);
     try {
       console.log('🚀 Starting test execution...');
       
       // Create reports directory if it doesn't exist
-      if (!fs.existsSync(this.reportsDir)) {
-        fs.mkdirSync(this.reportsDir, { recursive: true });
+      if (!fs.existsSync(reportsDir)) {
+        fs.mkdirSync(reportsDir, { recursive: true });
+      }
+
+      // Step timelines belong to one run; stale ones would end up in the report's filmstrip.
+      // Rerun attempts (own reportDir, no history) keep the original run's timelines
+      if (!options.reportDir && options.recordHistory !== false) {
+        fs.rmSync(path.join(this.reportsDir, 'timelines'), { recursive: true, force: true });
+      }
+
+      // --quarantine runs only the quarantined scenarios, by their "uri:line" ids
+      let { features } = options;
+      if (options.quarantine && !['only', 'exclude'].includes(options.quarantine)) {
+        throw new Error(`Unknown quarantine mode "${options.quarantine}". Expected one of: only, exclude`);
+      }
+      if (options.quarantine === 'only') {
+        const quarantined = this.runHistory.getQuarantine();
+        if (quarantined.length === 0) {
+          console.log('🧊 Quarantine is empty, nothing to run');
+          return;
+        }
+        console.log(`🧊 Running ${quarantined.length} quarantined scenario(s)`);
+        features = quarantined.map(entry => entry.id).join(' ');
       }
 
       // Build cucumber command
@@ -22,8 +159,9 @@ class TestRunner {
       
       // Add format options
       command += ' --format progress-bar';
-      command += ' --format html:reports/cucumber-report.html';
-      command += ' --format json:reports/cucumber-report.json';
+      command += ` --format html:${reportDir}/cucumber-report.html`;
+      command += ` --format json:${reportDir}/cucumber-report.json`;
+      command += ` --format rerun:${reportDir}/@rerun.txt`;
       
       // Add parallel execution if specified
       if (options.parallel) {
@@ -35,13 +173,27 @@ class TestRunner {
         command += ` --tags "${options.tags}"`;
       }
       
-      // Add world parameters for browser/environment
-      if (options.browser || options.environment || options.headed) {
-        const worldParams = {};
-        if (options.browser) worldParams.browser = options.browser;
-        if (options.environment) worldParams.environment = options.environment;
-        if (options.headed) worldParams.headed = options.headed;
-        
+      // Add world parameters for browser/environment/device (read by support/world.js)
+      const worldParams = {};
+      ['browser', 'environment', 'headed', 'device', 'trace', 'video', 'stepScreenshots'].forEach(key => {
+        if (options[key]) {
+          worldParams[key] = options[key];
+        }
+      });
+      if (options.quarantine === 'exclude') {
+        worldParams.quarantine = 'exclude';
+      }
+
+      // --mock-api / --local-app replace the profile's API_BASE_URL / BASE_URL with local servers
+      const requestedFixtures = Object.keys(this.fixtureServers).filter(name => options[name]);
+      fixtureServers.push(...await Promise.all(requestedFixtures.map(name =>
+        this.startFixtureServer(this.fixtureServers[name], options.environment)
+      )));
+      fixtureServers.forEach(server => {
+        worldParams[server.fixture.worldParam] = server.url;
+      });
+
+      if (Object.keys(worldParams).length > 0) {
         command += ` --world-parameters '${JSON.stringify(worldParams)}'`;
       }
       
@@ -51,8 +203,8 @@ class TestRunner {
       }
       
       // Add specific feature files if specified
-      if (options.features) {
-        command += ` ${options.features}`;
+      if (features) {
+        command += ` ${features}`;
       }
       
       console.log(`📋 Executing command: ${command}`);
@@ -61,7 +213,8 @@ class TestRunner {
       const result = execSync(command, { 
         cwd: path.join(__dirname, '..'),
         stdio: 'inherit',
-        encoding: 'utf8'
+        encoding: 'utf8',
+        env: { ...process.env, REPORT_RUN_ID: runId, CUCUMBER_REPORT_DIR: reportDir }
       });
       
       console.log('✅ Test execution completed successfully');
@@ -70,57 +223,91 @@ class TestRunner {
     } catch (error) {
       console.error('❌ Test execution failed:', error.message);
       throw error;
+    } finally {
+      fixtureServers.forEach(server => this.stopFixtureServer(server));
+      this.redactReports(reportsDir);
+      const merged = await this.publishRunSummary(runId, options);
+      // Rerun attempts (runner/reRunner.js) only repeat part of a run already in the history
+      if (options.recordHistory !== false) {
+        this.recordRunHistory(runStartedAt, options, merged ? merged.retries : [], reportsDir);
+      }
     }
   }
 
-  async runSmokeTests() {
+  async runSmokeTests(options = {}) {
     console.log('🔥 Running smoke tests...');
-    return await this.runTests({ tags: '@smoke' });
+    return await this.runTests({ ...options, tags: '@smoke' });
   }
 
-  async runRegressionTests() {
+  async runRegressionTests(options = {}) {
     console.log('🔄 Running regression tests...');
-    return await this.runTests({ tags: '@regression' });
+    return await this.runTests({ ...options, tags: '@regression' });
   }
 
-  async runLoginTests() {
+  async runLoginTests(options = {}) {
     console.log('🔐 Running login tests...');
-    return await this.runTests({ tags: '@login' });
+    return await this.runTests({ ...options, tags: '@login' });
   }
 
-  async runTestsInParallel(workers = 2) {
+  async runTestsInParallel(workers = 2, options = {}) {
     console.log(`⚡ Running tests in parallel with ${workers} workers...`);
-    return await this.runTests({ parallel: workers });
+    return await this.runTests({ ...options, parallel: workers });
   }
 
-  async runTestsInHeadedMode() {
+  async runTestsInHeadedMode(options = {}) {
     console.log('🖥️ Running tests in headed mode...');
-    return await this.runTests({ headed: true });
+    return await this.runTests({ ...options, headed: true });
   }
 
-  async runTestsWithBrowser(browser) {
+  async runTestsWithBrowser(browser, options = {}) {
     console.log(`🌐 Running tests with ${browser} browser...`);
-    return await this.runTests({ browser });
+    return await this.runTests({ ...options, browser });
   }
 
-  async runTestsInEnvironment(environment) {
-    console.log(`🔧 Running tests in ${environment} environment...`);
-    return await this.runTests({ environment });
+  async runTestsInEnvironment(environment, options = {}) {
+    // Fail fast on unknown profile names before launching Cucumber
+    const profile = loadEnvironmentProfile(environment);
+    console.log(`🔧 Running tests in ${profile.name} environment (${profile.baseURL})...`);
+    return await this.runTests({ ...options, environment });
   }
 
-  async runSpecificFeature(featurePath) {
+  async runSpecificFeature(featurePath, options = {}) {
     console.log(`📄 Running specific feature: ${featurePath}`);
-    return await this.runTests({ features: featurePath });
+    return await this.runTests({ ...options, features: featurePath });
   }
 
-  async runTestsWithRetry(retryCount = 2) {
+  async runTestsWithRetry(retryCount = 2, options = {}) {
     console.log(`🔄 Running tests with ${retryCount} retry attempts...`);
-    return await this.runTests({ retry: retryCount });
+    return await this.runTests({ ...options, retry: retryCount });
   }
 
-  async runAllTests() {
+  async runAllTests(options = {}) {
     console.log('🎯 Running all tests...');
-    return await this.runTests();
+    return await this.runTests(options);
+  }
+
+  /**
+   * runTests options from command-line flags (--env, --browser, --device, --tags, ...). Also
+   * used by runner/reRunner.js, so reruns use the original run's configuration.
+   */
+  static parseRunOptions(args) {
+    const value = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+    return {
+      browser: value('browser'),
+      environment: value('env'),
+      headed: args.includes('--headed'),
+      device: value('device'),
+      trace: value('trace'),
+      video: value('video'),
+      stepScreenshots: value('step-screenshots'),
+      tags: value('tags'),
+      mockApi: args.includes('--mock-api'),
+      localApp: args.includes('--local-app'),
+      // --quarantine alone runs only the quarantined scenarios; --quarantine=exclude skips them
+      quarantine: args.includes('--quarantine') ? 'only' : value('quarantine'),
+      parallel: value('parallel') && parseInt(value('parallel')),
+      retry: value('retry') && parseInt(value('retry'))
+    };
   }
 }
 
@@ -141,28 +328,31 @@ if (require.main === module) {
     feature: args.find(arg => arg.startsWith('--feature='))?.split('=')[1]
   };
 
+  // Browser/environment flags apply on top of whichever suite is selected
+  const runOptions = TestRunner.parseRunOptions(args);
+
   (async () => {
     try {
       if (options.smoke) {
-        await runner.runSmokeTests();
+        await runner.runSmokeTests(runOptions);
       } else if (options.regression) {
-        await runner.runRegressionTests();
+        await runner.runRegressionTests(runOptions);
       } else if (options.login) {
-        await runner.runLoginTests();
+        await runner.runLoginTests(runOptions);
       } else if (options.parallel) {
-        await runner.runTestsInParallel(parseInt(options.parallel));
+        await runner.runTestsInParallel(parseInt(options.parallel), runOptions);
       } else if (options.headed) {
-        await runner.runTestsInHeadedMode();
+        await runner.runTestsInHeadedMode(runOptions);
       } else if (options.browser) {
-        await runner.runTestsWithBrowser(options.browser);
+        await runner.runTestsWithBrowser(options.browser, runOptions);
       } else if (options.environment) {
-        await runner.runTestsInEnvironment(options.environment);
+        await runner.runTestsInEnvironment(options.environment, runOptions);
       } else if (options.feature) {
-        await runner.runSpecificFeature(options.feature);
+        await runner.runSpecificFeature(options.feature, runOptions);
       } else if (options.retry) {
-        await runner.runTestsWithRetry(parseInt(options.retry));
+        await runner.runTestsWithRetry(parseInt(options.retry), runOptions);
       } else {
-        await runner.runAllTests();
+        await runner.runAllTests(runOptions);
       }
     } catch (error) {
       console.error('❌ Test execution failed:', error);
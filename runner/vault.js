@@ -0,0 +1,148 @@
+const { CredentialsVault, parseEntryId, generatePassword } = require('../support/credentialsVault');
+const { loadEnvironmentProfile } = require('../support/environment');
+
+// Profile credentials (env.config) -> vault role, for `import`
+const PROFILE_ROLES = { user: 'customer', admin: 'admin' };
+
+const USAGE = `Usage: node runner/vault.js <command>
+
+  list                                        Entry names and when they were last changed
+  add <role>@<env> --email=<email> [--password=<password> | --generate] [--<field>=<value> ...]
+  rotate <role>@<env> [--password=<password>] [--<field>=<value> ...]   New password, generated if not given
+  remove <role>@<env>
+  import [--env=<profile>]                    Copy the profile's env.config credentials into the vault
+  rekey                                       Re-encrypt every entry with NEW_ENCRYPTION_KEY
+
+ENCRYPTION_KEY decrypts the vault (VAULT_PATH, default credentials.vault.json).
+The password can also be passed as VAULT_PASSWORD to keep it out of shell history.`;
+
+class VaultCli {
+  constructor(vault = new CredentialsVault()) {
+    this.vault = vault;
+  }
+
+  list() {
+    const entries = this.vault.list();
+    if (entries.length === 0) {
+      console.log(`🔐 ${this.vault.file} has no entries`);
+      return;
+    }
+    console.log(`🔐 ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} in ${this.vault.file}:`);
+    entries.forEach(entry => {
+      console.log(`  ${entry.id.padEnd(30)} updated ${entry.updatedAt}`);
+    });
+  }
+
+  // Password from --password, VAULT_PASSWORD or --generate (printed once so it can be set in the app)
+  resolvePassword(options) {
+    if (options.generate) {
+      const password = generatePassword();
+      console.log(`🔑 Generated password: ${password}`);
+      return password;
+    }
+    const password = options.password || process.env.VAULT_PASSWORD;
+    if (!password) {
+      throw new Error('Pass --password=<password>, set VAULT_PASSWORD or use --generate');
+    }
+    return password;
+  }
+
+  add(id, options) {
+    const { role, environment } = parseEntryId(id);
+    if (!options.fields.email) {
+      throw new Error('Pass --email=<email>');
+    }
+    this.vault.add(role, environment, { ...options.fields, password: this.resolvePassword(options) });
+    this.vault.save();
+    console.log(`✅ Added ${id}`);
+  }
+
+  rotate(id, options) {
+    const { role, environment } = parseEntryId(id);
+    // Rotating always sets a new password; one is generated unless given
+    const generate = options.generate || !(options.password || process.env.VAULT_PASSWORD);
+    this.vault.rotate(role, environment, { ...options.fields, password: this.resolvePassword({ ...options, generate }) });
+    this.vault.save();
+    console.log(`✅ Rotated ${id}`);
+  }
+
+  remove(id) {
+    const { role, environment } = parseEntryId(id);
+    this.vault.remove(role, environment);
+    this.vault.save();
+    console.log(`✅ Removed ${id}`);
+  }
+
+  import(environment) {
+    const profile = loadEnvironmentProfile(environment);
+    Object.entries(PROFILE_ROLES).forEach(([account, role]) => {
+      const { email, password } = profile.credentials[account];
+      if (!email || !password) {
+        console.log(`⏭️ No ${account} credentials in the ${profile.name} profile`);
+        return;
+      }
+      this.vault.add(role, profile.name, { email, password }, { overwrite: true });
+      console.log(`✅ Imported ${role}@${profile.name} (${email})`);
+    });
+    this.vault.save();
+    console.log(`ℹ️ Remove the plain-text passwords from ${profile.sources.join(', ')} once the vault is committed`);
+  }
+
+  rekey() {
+    if (!process.env.NEW_ENCRYPTION_KEY) {
+      throw new Error('Set NEW_ENCRYPTION_KEY to the key to re-encrypt with');
+    }
+    const count = this.vault.rekey(process.env.NEW_ENCRYPTION_KEY);
+    this.vault.save();
+    console.log(`✅ Re-encrypted ${count} entr${count === 1 ? 'y' : 'ies'}; use NEW_ENCRYPTION_KEY as ENCRYPTION_KEY from now on`);
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const cli = new VaultCli();
+  const [command, id] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+
+  // --password, --generate and --env are options; any other --name=value is stored in the entry
+  const options = { generate: flags.includes('--generate'), fields: {} };
+  flags.filter(flag => flag.includes('=')).forEach(flag => {
+    const [name, ...value] = flag.slice(2).split('=');
+    if (['password', 'env'].includes(name)) {
+      options[name] = value.join('=');
+    } else {
+      options.fields[name] = value.join('=');
+    }
+  });
+
+  try {
+    switch (command) {
+    case 'list':
+      cli.list();
+      break;
+    case 'add':
+      cli.add(id, options);
+      break;
+    case 'rotate':
+      cli.rotate(id, options);
+      break;
+    case 'remove':
+      cli.remove(id);
+      break;
+    case 'import':
+      cli.import(options.env || process.env.TEST_ENV);
+      break;
+    case 'rekey':
+      cli.rekey();
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = VaultCli;
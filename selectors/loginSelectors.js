@@ -1,11 +1,22 @@
+const { nameSelectors } = require('../support/locators');
+
+// A selector is a CSS string, a locator descriptor ({ role, name }, { label }, { text }, ...)
+// or an ordered list of candidates (see support/locators.js). Lists lead with a role or label
+// descriptor and keep CSS as the fallback. When a later candidate is used,
+// reports/healed-locators.json says which one; update the list here so the first candidate
+// matches again.
 class LoginSelectors {
   // Login page elements
-  static LOGIN_LINK = '.ico-login';
-  static EMAIL_INPUT = '#Email';
-  static PASSWORD_INPUT = '#Password';
-  static LOGIN_BUTTON = 'input[type="submit"][value="Log in"]';
-  static REMEMBER_ME_CHECKBOX = '#RememberMe';
-  static FORGOT_PASSWORD_LINK = '.forgot-password';
+  static LOGIN_LINK = [{ role: 'link', name: 'Log in', exact: true, within: '.header-links' }, '.ico-login'];
+  static EMAIL_INPUT = [{ label: 'Email' }, '#Email'];
+  static PASSWORD_INPUT = [{ label: 'Password' }, '#Password'];
+  static LOGIN_BUTTON = [
+    { role: 'button', name: 'Log in', exact: true },
+    '.login-button',
+    'button[type="submit"]'
+  ];
+  static REMEMBER_ME_CHECKBOX = [{ role: 'checkbox', name: 'Remember me?' }, '#RememberMe'];
+  static FORGOT_PASSWORD_LINK = [{ role: 'link', name: 'Forgot password?' }, '.forgot-password a'];
   
   // Error messages
   static ERROR_MESSAGE = '.validation-summary-errors';
@@ -13,8 +24,15 @@ class LoginSelectors {
   static PASSWORD_ERROR = '#Password-error';
   
   // Success elements
-  static WELCOME_MESSAGE = '.header-links .account';
-  static LOGOUT_LINK = '.ico-logout';
+  // The account link in the header shows the customer's email
+  static WELCOME_MESSAGE = [
+    { role: 'link', within: '.header-links', filter: { hasText: '@' } },
+    '.header-links .account',
+    '.welcome-message',
+    '.account-info',
+    '.user-info'
+  ];
+  static LOGOUT_LINK = [{ role: 'link', name: 'Log out' }, '.ico-logout'];
   
   // Page navigation
   static LOGIN_PAGE_TITLE = 'h1';
@@ -26,8 +44,10 @@ class LoginSelectors {
   static PASSWORD_LABEL = 'label[for="Password"]';
   
   // Registration elements
-  static REGISTER_BUTTON = '#register-button';
-  static CONFIRM_PASSWORD_INPUT = '#ConfirmPassword';
+  static REGISTER_BUTTON = [{ role: 'button', name: 'Register', within: '.registration-page' }, '#register-button'];
+  // "Password" also matches the "Confirm password" label on the registration form
+  static REGISTER_PASSWORD_INPUT = [{ label: 'Password', nth: 0 }, '#Password'];
+  static CONFIRM_PASSWORD_INPUT = [{ label: 'Confirm password' }, '#ConfirmPassword'];
 }
 
-module.exports = LoginSelectors; 
\ No newline at end of file
+module.exports = nameSelectors(LoginSelectors);
@@ -1,154 +1,638 @@
 const { Given, When, Then } = require('@cucumber/cucumber');
 const { expect } = require('chai');
-const ApiClient = require('../support/apiClient');
-const Joi = require('joi');
+const fs = require('fs');
+const path = require('path');
 const { faker } = require('@faker-js/faker');
+const ApiClient = require('../support/apiClient');
+const WebhookReceiver = require('../support/webhookReceiver');
+const { assertMatchesSchema } = require('../support/apiSchemas');
+const { getHeader, compressedRequestOptions, decodeCompressedResponse } = require('../support/httpHelpers');
+
+// Scratch files live in temp/, which is removed once the run's summary is published
+// (cleanupTemporaryFiles in support/runSummary.js)
+const TEMP_DIR = path.join(__dirname, '../temp');
+
+const newUserData = () => ({
+  name: faker.person.fullName(),
+  email: faker.internet.email(),
+  password: faker.internet.password()
+});
+
+async function createUser(userData = newUserData()) {
+  const response = await this.sendApiRequest('POST', '/users', { data: userData });
+  if (response.status === 201) {
+    this.trackCreatedResource('user', response.body.id, `/users/${response.body.id}`);
+  }
+  return response;
+}
 
-// Test data storage
-let testData = {
-  users: [],
-  products: [],
-  orders: [],
-  authToken: null,
-  responseData: null
-};
-
-// Schema definitions
-const schemas = {
-  user: Joi.object({
-    id: Joi.number().required(),
-    name: Joi.string().required(),
-    email: Joi.string().email().required()
-  }),
-  
-  product: Joi.object({
-    id: Joi.number().required(),
-    name: Joi.string().required(),
-    price: Joi.number().positive().required()
-  }),
-  
-  authResponse: Joi.object({
-    token: Joi.string().required(),
-    user: Joi.object({
-      id: Joi.number().required(),
-      email: Joi.string().email().required()
-    }).required()
-  })
-};
-
-Given('I have a valid API client configured', async function () {
-  this.apiClient = new ApiClient(process.env.API_BASE_URL, {
-    auth: { type: 'api-key', key: process.env.API_KEY }
+Given('I have a valid API client configured', function () {
+  this.apiClient = new ApiClient(this.profile.apiBaseURL, {
+    profile: this.profile,
+    auth: { type: 'api-key', key: this.profile.apiKey }
   });
+  // Request/response lines end up in the scenario log attached on failure
+  this.apiClient.logger.add(this.scenarioLog.transport);
 });
 
-Given('I have test data prepared', async function () {
-  testData.testUser = {
-    name: faker.person.fullName(),
-    email: faker.internet.email(),
-    password: faker.internet.password()
-  };
+Given('I have test data prepared', function () {
+  this.setVariable('testUser', newUserData());
 });
 
 Given('I have a user ID', async function () {
-  if (testData.users.length === 0) {
-    const response = await this.apiClient.post('/users', testData.testUser);
-    testData.users.push(response);
-  }
-  this.userId = testData.users[0].id;
+  const response = await createUser.call(this, this.getVariable('testUser'));
+  expect(response.status, 'status of user creation').to.equal(201);
+  this.setVariable('userId', response.body.id);
+});
+
+Given('I have a valid user account', async function () {
+  const response = await createUser.call(this);
+  expect(response.status, 'status of user creation').to.equal(201);
+  this.setVariable('userId', response.body.id);
+});
+
+Given('I have product IDs', async function () {
+  const response = await this.sendApiRequest('GET', '/products', { params: { page: 1, limit: 3 } });
+  expect(response.status).to.equal(200);
+  const productIds = response.body.data.map(product => product.id);
+  expect(productIds).to.not.be.empty;
+  this.setVariable('productIds', productIds);
+});
+
+Given('I have a webhook URL configured', async function () {
+  this.webhookReceiver = new WebhookReceiver();
+  const url = await this.webhookReceiver.start();
+
+  const response = await this.sendApiRequest('POST', '/webhooks', {
+    data: { url, events: ['order.created'] }
+  });
+  expect(response.status, 'status of webhook registration').to.equal(201);
+  this.trackCreatedResource('webhook', response.body.id, `/webhooks/${response.body.id}`);
+});
+
+Given('I have a test file', function () {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  const filePath = path.join(TEMP_DIR, `upload-${Date.now()}-${faker.string.alphanumeric(6)}.txt`);
+  fs.writeFileSync(filePath, faker.lorem.paragraphs(3));
+  this.setVariable('testFile', filePath);
+});
+
+Given('I have a file URL', async function () {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  const filePath = path.join(TEMP_DIR, `download-${Date.now()}-${faker.string.alphanumeric(6)}.txt`);
+  fs.writeFileSync(filePath, faker.lorem.paragraphs(3));
+
+  const form = this.apiClient.buildUploadForm(filePath);
+  const response = await this.sendApiRequest('POST', '/files/upload', { data: form, headers: form.getHeaders() });
+  expect(response.status, 'status of file upload').to.equal(200);
+
+  this.trackCreatedResource('file', response.body.id, response.body.url);
+  this.setVariable('testFile', filePath);
+  this.setVariable('fileUrl', response.body.url);
+});
+
+Given('the API is temporarily unavailable', async function () {
+  // Fault injection is provided by the local mock API (see runner/run.js --mock-api)
+  const response = await this.sendApiRequest('POST', '/__mock/faults', {
+    data: { method: 'GET', path: '/health', status: 503, times: 2 },
+    retry: false
+  });
+  expect(response.status, 'fault injection requires the mock API').to.equal(201);
 });
 
 When('I authenticate with valid credentials', async function () {
+  const testUser = this.getVariable('testUser');
   const credentials = {
-    email: process.env.TEST_USER_EMAIL || testData.testUser.email,
-    password: process.env.TEST_USER_PASSWORD || testData.testUser.password
+    email: this.profile.credentials.user.email || testUser.email,
+    password: this.profile.credentials.user.password || testUser.password
   };
-  
-  const response = await this.apiClient.post('/auth/login', credentials);
-  testData.authToken = response.token;
-  this.apiClient.setAuthToken(response.token);
-  testData.responseData = response;
+
+  const response = await this.sendApiRequest('POST', '/auth/login', { data: credentials });
+  if (response.body && response.body.token) {
+    this.setVariable('authToken', response.body.token);
+    this.apiClient.setAuthToken(response.body.token);
+  }
 });
 
 When('I authenticate with invalid credentials', async function () {
-  try {
-    await this.apiClient.post('/auth/login', {
+  await this.sendApiRequest('POST', '/auth/login', {
+    data: {
       email: 'invalid@example.com',
       password: 'wrongpassword'
-    });
-  } catch (error) {
-    testData.responseData = error;
-  }
+    }
+  });
 });
 
+// Users
+
 When('I create a new user with valid data', async function () {
-  const userData = {
-    name: faker.person.fullName(),
-    email: faker.internet.email(),
-    password: faker.internet.password()
-  };
-  
-  const response = await this.apiClient.post('/users', userData);
-  testData.responseData = response;
-  testData.users.push(response);
+  const userData = newUserData();
+  this.setVariable('submittedUser', userData);
+  await createUser.call(this, userData);
+});
+
+When('I create a user without required fields', async function () {
+  await this.sendApiRequest('POST', '/users', { data: { name: faker.person.fullName() } });
+});
+
+When('I create {int} users in a batch request', async function (count) {
+  const users = Array.from({ length: count }, newUserData);
+  const response = await this.sendApiRequest('POST', '/users/batch', { data: { users } });
+  if (response.status === 200) {
+    response.body.created.forEach(user => this.trackCreatedResource('user', user.id, `/users/${user.id}`));
+  }
 });
 
 When('I retrieve the user by ID', async function () {
-  const response = await this.apiClient.get(`/users/${this.userId}`);
-  testData.responseData = response;
+  await this.sendApiRequest('GET', `/users/${this.getVariable('userId')}`);
 });
 
+When('I update the user with new data', async function () {
+  const updates = { name: faker.person.fullName() };
+  this.setVariable('submittedUser', updates);
+  await this.sendApiRequest('PUT', `/users/${this.getVariable('userId')}`, { data: updates });
+});
+
+When('I delete the user', async function () {
+  const userPath = `/users/${this.getVariable('userId')}`;
+  const response = await this.sendApiRequest('DELETE', userPath);
+  if (response.status === 204) {
+    this.untrackCreatedResource(userPath);
+  }
+});
+
+// Products
+
 When('I retrieve all products', async function () {
-  const response = await this.apiClient.get('/products');
-  testData.responseData = response;
+  await this.sendApiRequest('GET', '/products');
 });
 
+When('I search products by category {string}', async function (category) {
+  await this.sendApiRequest('GET', '/products', { params: { category } });
+});
+
+When('I request the first page of products with limit {int}', async function (limit) {
+  await this.sendApiRequest('GET', '/products', { params: { page: 1, limit } });
+});
+
+When('I filter products by price range and sort by name', async function () {
+  const priceRange = { minPrice: 10, maxPrice: 500 };
+  this.setVariable('priceRange', priceRange);
+  await this.sendApiRequest('GET', '/products', { params: { ...priceRange, sort: 'name' } });
+});
+
+When('I request a large dataset', async function () {
+  const response = await this.sendApiRequest('GET', '/products/catalog', compressedRequestOptions());
+  this.setVariable('compression', decodeCompressedResponse(response));
+});
+
+// Orders
+
+When('I create a new order', async function () {
+  if (!this.api.variables.userId) {
+    const userResponse = await createUser.call(this);
+    expect(userResponse.status, 'status of user creation').to.equal(201);
+    this.setVariable('userId', userResponse.body.id);
+  }
+
+  const response = await this.sendApiRequest('POST', '/orders', {
+    data: { userId: this.getVariable('userId') }
+  });
+  if (response.status === 201) {
+    this.trackCreatedResource('order', response.body.id, `/orders/${response.body.id}`);
+    this.setVariable('orderId', response.body.id);
+  }
+});
+
+When('I add products to the order', async function () {
+  const orderId = this.getVariable('orderId');
+  const responses = await Promise.all(this.getVariable('productIds').map(productId =>
+    this.sendApiRequest('POST', `/orders/${orderId}/items`, { data: { productId, quantity: 1 } })
+  ));
+  responses.forEach(response => expect(response.status, 'status of adding a product').to.equal(200));
+});
+
+When('I submit the order', async function () {
+  await this.sendApiRequest('POST', `/orders/${this.getVariable('orderId')}/submit`);
+});
+
+// Cross-cutting behaviour
+
 When('I check the API health status', async function () {
-  const response = await this.apiClient.get('/health');
-  testData.responseData = response;
+  await this.sendApiRequest('GET', '/health');
+});
+
+When('I request a non-existent resource', async function () {
+  await this.sendApiRequest('GET', `/users/${faker.string.uuid()}`);
+});
+
+When('I make a request to any endpoint', async function () {
+  await this.sendApiRequest('GET', '/health');
+});
+
+When('I make a request', async function () {
+  await this.sendApiRequest('GET', '/health');
+});
+
+When('I make the same request twice', async function () {
+  const first = await this.sendApiRequest('GET', '/products');
+  const second = await this.sendApiRequest('GET', '/products');
+  this.setVariable('repeatedResponses', [first, second]);
+});
+
+When('I make multiple API requests', async function () {
+  const endpoints = ['/health', '/products', '/users/0', '/products', '/health'];
+  await Promise.all(endpoints.map(endpoint => this.sendApiRequest('GET', endpoint)));
+});
+
+When('I make {int} requests within {int} minute(s)', async function (count, minutes) {
+  const responses = [];
+  const deadline = Date.now() + minutes * 60 * 1000;
+  for (let i = 0; i < count && Date.now() < deadline; i++) {
+    // One at a time, so the requests are spread over the window; retries would hide the 429s
+    // this scenario is looking for
+    // eslint-disable-next-line no-await-in-loop -- sequential on purpose
+    responses.push(await this.sendApiRequest('GET', '/products', { retry: false }));
+  }
+  this.setVariable('batchResponses', responses);
 });
 
 When('I make {int} concurrent requests to the products endpoint', async function (count) {
-  const requests = Array(count).fill().map(() => 
-    this.apiClient.measureResponseTime('/products', 'GET')
+  const requests = Array(count).fill().map(() =>
+    this.apiClient.request('GET', '/products')
   );
-  
-  const results = await Promise.all(requests);
-  testData.responseData = results;
+
+  const responses = await Promise.all(requests);
+  responses.forEach(response => this.recordApiResponse(response));
+  this.setVariable('batchResponses', responses);
 });
 
-Then('I should receive a valid access token', async function () {
-  expect(testData.authToken).to.be.a('string');
-  expect(testData.authToken).to.have.length.greaterThan(0);
+const REQUEST_TIMEOUT = parseInt(process.env.API_TIMEOUT) || 30000;
+
+When('I make a request that takes longer than the timeout', { timeout: REQUEST_TIMEOUT + 10000 }, async function () {
+  const startTime = Date.now();
+  try {
+    await this.sendApiRequest('GET', '/slow', {
+      params: { delay: REQUEST_TIMEOUT + 5000 },
+      retry: false
+    });
+    this.setVariable('timeoutError', null);
+  } catch (error) {
+    this.setVariable('timeoutError', error);
+  }
+  this.setVariable('elapsed', Date.now() - startTime);
 });
 
-Then('the response status should be {int}', async function (status) {
-  if (testData.responseData && testData.responseData.status) {
-    expect(testData.responseData.status).to.equal(status);
+// Files
+
+When('I upload the file to the upload endpoint', async function () {
+  const form = this.apiClient.buildUploadForm(this.getVariable('testFile'));
+  const response = await this.sendApiRequest('POST', '/files/upload', { data: form, headers: form.getHeaders() });
+  if (response.status === 200) {
+    this.trackCreatedResource('file', response.body.id, response.body.url);
   }
 });
 
-Then('I should receive an authentication error', async function () {
-  expect(testData.responseData).to.be.instanceOf(Error);
+When('I download the file', async function () {
+  const response = await this.sendApiRequest('GET', this.getVariable('fileUrl'), { responseType: 'arraybuffer' });
+  if (response.status === 200) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    const downloadedFile = path.join(TEMP_DIR, `downloaded-${path.basename(this.getVariable('testFile'))}`);
+    fs.writeFileSync(downloadedFile, Buffer.from(response.body));
+    this.setVariable('downloadedFile', downloadedFile);
+  }
+});
+
+// Authentication assertions
+
+Then('I should receive a valid access token', function () {
+  const authToken = this.getVariable('authToken');
+  expect(authToken).to.be.a('string');
+  expect(authToken).to.have.length.greaterThan(0);
+});
+
+Then('I should receive an authentication error', function () {
+  expect(this.api.status).to.be.oneOf([401, 403]);
 });
 
-Then('the response should be an array', async function () {
-  expect(testData.responseData).to.be.an('array');
+Then('the response should contain user information', function () {
+  assertMatchesSchema(this.api.lastResponse.body, 'authResponse');
+});
+
+// Error assertions
+
+Then('the error message should be {string}', function (message) {
+  assertMatchesSchema(this.api.lastResponse.body, 'error');
+  expect(this.api.lastResponse.body.error).to.equal(message);
+});
+
+Then('the response should contain validation errors', function () {
+  assertMatchesSchema(this.api.lastResponse.body, 'error');
+  expect(this.api.lastResponse.body.errors).to.be.an('array').that.is.not.empty;
+});
+
+Then('the error message should list missing required fields', function () {
+  const { error, errors } = this.api.lastResponse.body;
+  ['email', 'password'].forEach(field => {
+    expect(error, 'error message').to.include(field);
+    expect(errors.map(entry => entry.field), 'fields with validation errors').to.include(field);
+  });
+});
+
+Then('the response should contain an appropriate error message', function () {
+  assertMatchesSchema(this.api.lastResponse.body, 'error');
+  expect(this.api.lastResponse.body.error.toLowerCase()).to.include('not found');
+});
+
+// User assertions
+
+Then('the response should contain the created user data', function () {
+  const submitted = this.getVariable('submittedUser');
+  assertMatchesSchema(this.api.lastResponse.body, 'user');
+  expect(this.api.lastResponse.body).to.include({ name: submitted.name, email: submitted.email });
+  expect(this.api.lastResponse.body, 'password must not be returned').to.not.have.property('password');
 });
 
-Then('the response should indicate the service is healthy', async function () {
-  expect(testData.responseData).to.have.property('status', 'healthy');
+Then('the response should contain the user data', function () {
+  const testUser = this.getVariable('testUser');
+  assertMatchesSchema(this.api.lastResponse.body, 'user');
+  expect(this.api.lastResponse.body).to.include({ name: testUser.name, email: testUser.email });
 });
 
-Then('all requests should complete within {int} seconds', async function (seconds) {
+Then('the response should contain the updated user data', function () {
+  assertMatchesSchema(this.api.lastResponse.body, 'user');
+  expect(this.api.lastResponse.body).to.include(this.getVariable('submittedUser'));
+});
+
+Then('the user ID should match the requested ID', function () {
+  expect(this.api.lastResponse.body.id).to.equal(this.getVariable('userId'));
+});
+
+Then('the user should be created in the database', async function () {
+  const created = this.api.lastResponse.body;
+  const response = await this.apiClient.request('GET', `/users/${created.id}`);
+  expect(response.status).to.equal(200);
+  expect(response.body.email).to.equal(created.email);
+});
+
+Then('the user should be updated in the database', async function () {
+  const response = await this.apiClient.request('GET', `/users/${this.getVariable('userId')}`);
+  expect(response.status).to.equal(200);
+  expect(response.body).to.include(this.getVariable('submittedUser'));
+});
+
+Then('the user should be deleted from the database', async function () {
+  const response = await this.apiClient.request('GET', `/users/${this.getVariable('userId')}`);
+  expect(response.status).to.equal(404);
+});
+
+Then('all {int} users should be created successfully', function (count) {
+  const { created } = this.api.lastResponse.body;
+  expect(created).to.have.lengthOf(count);
+  created.forEach(user => assertMatchesSchema(user, 'user'));
+});
+
+Then('the response should contain IDs for all created users', function () {
+  const ids = this.api.lastResponse.body.created.map(user => user.id);
+  ids.forEach(id => expect(id).to.exist);
+  expect(new Set(ids).size, 'unique user IDs').to.equal(ids.length);
+});
+
+// Product assertions
+
+Then('the response should be an array', function () {
+  expect(this.api.lastResponse.body).to.be.an('array');
+});
+
+Then('each product should have required fields', function () {
+  expect(this.api.lastResponse.body).to.not.be.empty;
+  this.api.lastResponse.body.forEach(product => assertMatchesSchema(product, 'product'));
+});
+
+Then('all returned products should have category {string}', function (category) {
+  expect(this.api.lastResponse.body).to.be.an('array').that.is.not.empty;
+  this.api.lastResponse.body.forEach(product => expect(product.category).to.equal(category));
+});
+
+Then('the response should contain exactly {int} products', function (count) {
+  expect(this.api.lastResponse.body.data).to.have.lengthOf(count);
+});
+
+Then('the response should contain pagination metadata', function () {
+  assertMatchesSchema(this.api.lastResponse.body.pagination, 'pagination');
+});
+
+Then('the total count should be greater than {int}', function (count) {
+  expect(this.api.lastResponse.body.pagination.total).to.be.greaterThan(count);
+});
+
+Then('all products should be within the specified price range', function () {
+  const { minPrice, maxPrice } = this.getVariable('priceRange');
+  expect(this.api.lastResponse.body).to.be.an('array').that.is.not.empty;
+  this.api.lastResponse.body.forEach(product => {
+    expect(product.price).to.be.within(minPrice, maxPrice);
+  });
+});
+
+Then('products should be sorted alphabetically by name', function () {
+  const names = this.api.lastResponse.body.map(product => product.name);
+  expect(names).to.deep.equal([...names].sort((a, b) => a.localeCompare(b)));
+});
+
+// Order assertions
+
+Then('the order should be created successfully', async function () {
+  const response = await this.apiClient.request('GET', `/orders/${this.getVariable('orderId')}`);
+  expect(response.status).to.equal(200);
+  assertMatchesSchema(response.body, 'order');
+  expect(response.body.items.map(item => item.productId)).to.have.members(this.getVariable('productIds'));
+  this.setVariable('order', response.body);
+});
+
+Then('the order status should be {string}', function (status) {
+  expect(this.getVariable('order').status).to.equal(status);
+});
+
+Then('the order should be assigned an order ID', function () {
+  expect(this.getVariable('order').id).to.equal(this.getVariable('orderId'));
+});
+
+Then('a webhook notification should be sent', async function () {
+  const notification = await this.webhookReceiver.waitForNotification();
+  expect(notification.method).to.equal('POST');
+  this.setVariable('webhookNotification', notification);
+});
+
+Then('the webhook payload should contain order details', function () {
+  const { body } = this.getVariable('webhookNotification');
+  expect(body.event).to.equal('order.created');
+  assertMatchesSchema(body.data, 'order');
+  expect(body.data.id).to.equal(this.getVariable('orderId'));
+});
+
+// Health
+
+Then('the response should indicate the service is healthy', function () {
+  expect(this.api.lastResponse.body).to.have.property('status', 'healthy');
+});
+
+Then('the response should contain version information', function () {
+  assertMatchesSchema(this.api.lastResponse.body, 'health');
+});
+
+// Performance and monitoring
+
+Then('all requests should complete within {int} seconds', function (seconds) {
   const maxTime = seconds * 1000;
-  testData.responseData.forEach(metric => {
-    expect(metric.responseTime).to.be.lessThan(maxTime);
+  this.getVariable('batchResponses').forEach(response => {
+    expect(response.duration).to.be.lessThan(maxTime);
   });
 });
 
-Then('the average response time should be less than {int}ms', async function (maxAvgTime) {
-  const avgTime = testData.responseData.reduce((sum, metric) => 
-    sum + metric.responseTime, 0) / testData.responseData.length;
+Then('the average response time should be less than {int}ms', function (maxAvgTime) {
+  const responses = this.getVariable('batchResponses');
+  const avgTime = responses.reduce((sum, response) =>
+    sum + response.duration, 0) / responses.length;
   expect(avgTime).to.be.lessThan(maxAvgTime);
-}); 
\ No newline at end of file
+});
+
+Then('no requests should fail', function () {
+  const failed = this.getVariable('batchResponses').filter(response => response.status >= 400);
+  expect(failed.map(response => response.status), 'failed request statuses').to.be.empty;
+});
+
+Then('the response times should be logged', function () {
+  expect(this.api.history).to.not.be.empty;
+  this.api.history.forEach(response => expect(response.duration).to.be.a('number'));
+  expect(this.apiClient.getMetrics().responseTimes).to.have.lengthOf.at.least(this.api.history.length);
+});
+
+Then('the success\\/failure rates should be tracked', function () {
+  const metrics = this.apiClient.getMetrics();
+  expect(metrics.successes + metrics.failures).to.equal(metrics.requests);
+  expect(metrics.failures, 'the request for /users/0 should be counted as a failure').to.be.greaterThan(0);
+  expect(metrics.successRate + metrics.failureRate).to.be.closeTo(1, 0.0001);
+});
+
+Then('performance metrics should be available', async function () {
+  const metrics = this.apiClient.getMetrics();
+  expect(metrics.averageResponseTime).to.be.a('number');
+  expect(metrics.maxResponseTime).to.be.at.least(metrics.averageResponseTime);
+  await this.attach(JSON.stringify(metrics, null, 2), 'application/json');
+});
+
+// Rate limiting
+
+Then('the {int}st/nd/rd/th request should be rate limited', function (position) {
+  const response = this.getVariable('batchResponses')[position - 1];
+  expect(response, `request number ${position}`).to.exist;
+  expect(response.status).to.equal(429);
+  this.recordApiResponse(response);
+});
+
+Then('the response should contain rate limit information', function () {
+  const { headers } = this.api.lastResponse;
+  expect(getHeader(headers, 'X-RateLimit-Limit')).to.exist;
+  expect(getHeader(headers, 'X-RateLimit-Remaining')).to.equal('0');
+  expect(getHeader(headers, 'Retry-After')).to.exist;
+});
+
+// Security headers
+
+Then('the response should include security headers', function () {
+  const { headers } = this.api.lastResponse;
+  expect(getHeader(headers, 'X-Content-Type-Options')).to.equal('nosniff');
+  expect(getHeader(headers, 'X-Frame-Options')).to.be.oneOf(['DENY', 'SAMEORIGIN']);
+  expect(getHeader(headers, 'Strict-Transport-Security')).to.match(/max-age=\d+/);
+});
+
+Then('the CORS headers should be properly configured', function () {
+  expect(getHeader(this.api.lastResponse.headers, 'Access-Control-Allow-Origin')).to.exist;
+});
+
+Then('the content security policy should be set', function () {
+  expect(getHeader(this.api.lastResponse.headers, 'Content-Security-Policy')).to.include('default-src');
+});
+
+// Caching
+
+Then('both responses should be identical', function () {
+  const [first, second] = this.getVariable('repeatedResponses');
+  expect(second.body).to.deep.equal(first.body);
+});
+
+Then('the second response should be served from cache', function () {
+  const [first, second] = this.getVariable('repeatedResponses');
+  expect(getHeader(first.headers, 'X-Cache')).to.equal('MISS');
+  expect(getHeader(second.headers, 'X-Cache')).to.equal('HIT');
+});
+
+Then('the cache headers should be properly set', function () {
+  const [first, second] = this.getVariable('repeatedResponses');
+  expect(getHeader(first.headers, 'Cache-Control')).to.match(/max-age=\d+/);
+  expect(getHeader(first.headers, 'ETag')).to.exist;
+  expect(getHeader(second.headers, 'ETag')).to.equal(getHeader(first.headers, 'ETag'));
+});
+
+// Compression
+
+Then('the response should be compressed', function () {
+  expect(this.getVariable('compression').encoding, 'Content-Encoding').to.exist;
+});
+
+Then('the content encoding should be gzip', function () {
+  expect(this.getVariable('compression').encoding).to.equal('gzip');
+});
+
+Then('the response size should be smaller than uncompressed', function () {
+  const { compressedSize, uncompressedSize } = this.getVariable('compression');
+  expect(compressedSize).to.be.lessThan(uncompressedSize);
+});
+
+// Timeouts and retries
+
+Then('the request should timeout after {int} seconds', function (seconds) {
+  expect(this.apiClient.client.defaults.timeout, 'configured API timeout').to.equal(seconds * 1000);
+  expect(this.getVariable('timeoutError'), 'request should have failed').to.exist;
+  expect(this.getVariable('elapsed')).to.be.within(seconds * 1000, (seconds + 5) * 1000);
+});
+
+Then('the response should be a timeout error', function () {
+  const { originalError } = this.getVariable('timeoutError');
+  expect(originalError.code).to.equal('ECONNABORTED');
+  expect(originalError.message).to.include('timeout');
+});
+
+Then('the request should be retried automatically', function () {
+  expect(this.api.lastResponse.retries).to.be.greaterThan(0);
+});
+
+Then('the request should succeed after retries', function () {
+  expect(this.api.status).to.equal(200);
+});
+
+Then('the retry count should be logged', function () {
+  expect(this.apiClient.getMetrics().retries).to.equal(this.api.lastResponse.retries);
+});
+
+// Files
+
+Then('the file should be uploaded successfully', function () {
+  const { size } = fs.statSync(this.getVariable('testFile'));
+  expect(this.api.lastResponse.body.filename).to.equal(path.basename(this.getVariable('testFile')));
+  expect(this.api.lastResponse.body.size).to.equal(size);
+});
+
+Then('the response should contain the file URL', function () {
+  expect(this.api.lastResponse.body.url).to.be.a('string').and.match(/^\/files\//);
+});
+
+Then('the file should be downloaded successfully', function () {
+  expect(fs.existsSync(this.getVariable('downloadedFile')), 'downloaded file exists').to.be.true;
+});
+
+Then('the file content should match the original', function () {
+  const downloaded = fs.readFileSync(this.getVariable('downloadedFile'));
+  const original = fs.readFileSync(this.getVariable('testFile'));
+  expect(downloaded.equals(original), 'downloaded file content matches').to.be.true;
+});
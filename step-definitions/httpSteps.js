@@ -0,0 +1,195 @@
+const { When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseValue,
+  tableToObject,
+  queryJson,
+  valueAt,
+  getHeader,
+  compressedRequestOptions,
+  decodeCompressedResponse
+} = require('../support/httpHelpers');
+const { assertMatchesSchema } = require('../support/apiSchemas');
+
+// Generic, data-driven HTTP steps built on ApiClient.request. Paths, bodies and
+// expected values may reference stored variables as {{name}}.
+
+// Requests
+
+When('I send a {word} request to {string}', async function (method, endpoint) {
+  await this.sendApiRequest(method, endpoint);
+});
+
+When('I send a {word} request to {string} with body:', async function (method, endpoint, docString) {
+  await this.sendApiRequest(method, endpoint, { data: JSON.parse(this.interpolate(docString)) });
+});
+
+When('I send a {word} request to {string} with:', async function (method, endpoint, dataTable) {
+  await this.sendApiRequest(method, endpoint, {
+    data: tableToObject(dataTable, value => this.interpolate(value))
+  });
+});
+
+When('I send a {word} request to {string} with headers:', async function (method, endpoint, dataTable) {
+  const headers = {};
+  Object.entries(dataTable.rowsHash()).forEach(([name, value]) => {
+    headers[name] = this.interpolate(value);
+  });
+  await this.sendApiRequest(method, endpoint, { headers });
+});
+
+When('I send a {word} request to {string} with query:', async function (method, endpoint, dataTable) {
+  await this.sendApiRequest(method, endpoint, {
+    params: tableToObject(dataTable, value => this.interpolate(value))
+  });
+});
+
+When('I store the response value at {string} as {string}', function (expression, name) {
+  this.setVariable(name, valueAt(this.api.lastResponse.body, expression));
+});
+
+// Status and timing
+
+Then('the response status should be {int}', function (status) {
+  expect(this.api.lastResponse, 'no API response recorded in this scenario').to.not.be.null;
+  expect(this.api.status, `status of ${this.api.lastResponse.request.method} ${this.api.lastResponse.request.url}`)
+    .to.equal(status);
+});
+
+Then('the response status should be one of {string}', function (statuses) {
+  const expected = statuses.split(',').map(status => parseInt(status.trim()));
+  expect(this.api.status).to.be.oneOf(expected);
+});
+
+Then('the response time should be less than {int}ms', function (maxTime) {
+  expect(this.api.lastResponse.duration).to.be.lessThan(maxTime);
+});
+
+// JSONPath assertions
+
+Then('the response value at {string} should equal {string}', function (expression, expected) {
+  expect(valueAt(this.api.lastResponse.body, expression)).to.deep.equal(parseValue(this.interpolate(expected)));
+});
+
+Then('the response value at {string} should contain {string}', function (expression, expected) {
+  const value = valueAt(this.api.lastResponse.body, expression);
+  const expectedValue = parseValue(this.interpolate(expected));
+  if (typeof value === 'string') {
+    expect(value).to.include(String(expectedValue));
+  } else {
+    expect(value).to.deep.include(expectedValue);
+  }
+});
+
+Then('the response value at {string} should exist', function (expression) {
+  expect(queryJson(this.api.lastResponse.body, expression), `matches for ${expression}`).to.not.be.empty;
+});
+
+Then('the response value at {string} should not exist', function (expression) {
+  expect(queryJson(this.api.lastResponse.body, expression), `matches for ${expression}`).to.be.empty;
+});
+
+Then('the response value at {string} should have {int} items', function (expression, count) {
+  expect(valueAt(this.api.lastResponse.body, expression)).to.have.lengthOf(count);
+});
+
+Then('every response value at {string} should equal {string}', function (expression, expected) {
+  const values = queryJson(this.api.lastResponse.body, expression);
+  expect(values, `matches for ${expression}`).to.not.be.empty;
+  values.forEach(value => expect(value).to.deep.equal(parseValue(this.interpolate(expected))));
+});
+
+Then('the response should contain:', function (dataTable) {
+  Object.entries(dataTable.rowsHash()).forEach(([expression, expected]) => {
+    expect(valueAt(this.api.lastResponse.body, expression), expression)
+      .to.deep.equal(parseValue(this.interpolate(expected)));
+  });
+});
+
+// Headers
+
+Then('the response header {string} should exist', function (name) {
+  expect(getHeader(this.api.headers, name), `header ${name}`).to.exist;
+});
+
+Then('the response header {string} should equal {string}', function (name, expected) {
+  expect(String(getHeader(this.api.headers, name))).to.equal(this.interpolate(expected));
+});
+
+Then('the response header {string} should match {string}', function (name, pattern) {
+  expect(String(getHeader(this.api.headers, name))).to.match(new RegExp(pattern));
+});
+
+// Schemas
+
+Then('the response should match the {string} schema', function (schemaName) {
+  assertMatchesSchema(this.api.lastResponse.body, schemaName);
+});
+
+Then('each item at {string} should match the {string} schema', function (expression, schemaName) {
+  const items = valueAt(this.api.lastResponse.body, expression);
+  expect(items).to.be.an('array').that.is.not.empty;
+  items.forEach(item => assertMatchesSchema(item, schemaName));
+});
+
+// Pagination
+
+/**
+ * Walk a paginated collection (?page=&limit=) until the last page and store every item
+ * in the "pagedItems" variable. Expects { data: [...], pagination: { page, totalPages } }.
+ */
+When('I walk all pages of {string} with limit {int}', async function (endpoint, limit) {
+  const fetchPage = async (page) => {
+    const response = await this.sendApiRequest('GET', endpoint, { params: { page, limit } });
+    expect(response.status, `status of page ${page}`).to.equal(200);
+    assertMatchesSchema(response.body.pagination, 'pagination');
+    return response.body;
+  };
+
+  // The first page tells how many there are; the rest are fetched together
+  const first = await fetchPage(1);
+  const { totalPages } = first.pagination;
+  const rest = await Promise.all(Array.from({ length: Math.max(totalPages - 1, 0) }, (_value, index) => fetchPage(index + 2)));
+
+  this.setVariable('pagedItems', [first, ...rest].flatMap(page => page.data));
+  this.setVariable('pageCount', totalPages);
+});
+
+Then('the walked pages should contain {int} items in total', function (count) {
+  expect(this.getVariable('pagedItems')).to.have.lengthOf(count);
+});
+
+Then('the walked pages should not contain duplicate {string} values', function (field) {
+  const values = this.getVariable('pagedItems').map(item => item[field]);
+  expect(new Set(values).size).to.equal(values.length);
+});
+
+// Files
+
+When('I upload the file {string} to {string}', async function (filePath, endpoint) {
+  const form = this.apiClient.buildUploadForm(path.resolve(this.interpolate(filePath)));
+  await this.sendApiRequest('POST', endpoint, { data: form, headers: form.getHeaders() });
+});
+
+When('I download {string} to {string}', async function (endpoint, outputPath) {
+  const response = await this.sendApiRequest('GET', endpoint, { responseType: 'arraybuffer' });
+  const resolvedPath = path.resolve(this.interpolate(outputPath));
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  fs.writeFileSync(resolvedPath, Buffer.from(response.body));
+  this.setVariable('downloadedFile', resolvedPath);
+});
+
+Then('the downloaded file should match {string}', function (expectedPath) {
+  const downloaded = fs.readFileSync(this.getVariable('downloadedFile'));
+  const expected = fs.readFileSync(path.resolve(this.interpolate(expectedPath)));
+  expect(downloaded.equals(expected), 'downloaded file content matches').to.be.true;
+});
+
+// Compression
+
+When('I send a compressed GET request to {string}', async function (endpoint) {
+  const response = await this.sendApiRequest('GET', endpoint, compressedRequestOptions());
+  this.setVariable('compression', decodeCompressedResponse(response));
+});
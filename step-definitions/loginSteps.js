@@ -1,10 +1,11 @@
 const { Given, When, Then } = require('@cucumber/cucumber');
 const { expect } = require('chai');
 const LoginPage = require('../pages/LoginPage');
+const LoginSelectors = require('../selectors/loginSelectors');
 
 Given('I am on the login page', async function () {
   try {
-    this.loginPage = new LoginPage(this.page, this.webElements);
+    this.loginPage = new LoginPage(this.page, this.webElements, this.profile);
     await this.loginPage.navigateToLoginPage();
     console.log('✅ Successfully navigated to login page');
   } catch (error) {
@@ -26,11 +27,10 @@ Given('I have a registered user account', async function () {
 Given('I register a new test user', async function () {
   try {
     // Navigate to registration page
-    const baseURL = process.env.BASE_URL || 'https://demowebshop.tricentis.com';
-    await this.page.goto(`${baseURL}/register`);
+    await this.page.goto(`${this.profile.baseURL}/register`);
     
     // Wait for registration page to load
-    await this.page.waitForSelector('#Email', { timeout: 10000 });
+    await this.webElements.waitForElement(LoginSelectors.EMAIL_INPUT, { timeout: 10000 });
     
     // Generate unique test data
     const timestamp = Date.now();
@@ -38,12 +38,12 @@ Given('I register a new test user', async function () {
     const testPassword = 'Test123!';
     
     // Fill registration form
-    await this.webElements.type('#Email', testEmail);
-    await this.webElements.type('#Password', testPassword);
-    await this.webElements.type('#ConfirmPassword', testPassword);
+    await this.webElements.type(LoginSelectors.EMAIL_INPUT, testEmail);
+    await this.webElements.type(LoginSelectors.REGISTER_PASSWORD_INPUT, testPassword);
+    await this.webElements.type(LoginSelectors.CONFIRM_PASSWORD_INPUT, testPassword);
     
     // Click register button
-    await this.webElements.click('#register-button');
+    await this.webElements.click(LoginSelectors.REGISTER_BUTTON);
     
     // Wait for registration to complete
     await this.page.waitForTimeout(5000);
@@ -56,15 +56,34 @@ Given('I register a new test user', async function () {
   } catch (error) {
     console.log('ℹ️ User registration failed or user already exists:', error.message);
     // Use default test credentials
-    this.testEmail = process.env.TEST_USER_EMAIL || 'testuser@example.com';
-    this.testPassword = process.env.TEST_USER_PASSWORD || 'Test123!';
+    this.testEmail = this.profile.credentials.user.email || 'testuser@example.com';
+    this.testPassword = this.profile.credentials.user.password || 'Test123!';
   }
 });
 
+Given('I am logged in as {string}', async function (role) {
+  try {
+    const { email, password } = this.getCredentials(role);
+    this.loginPage = new LoginPage(this.page, this.webElements, this.profile);
+    await this.loginPage.navigateToLoginPage();
+    await this.loginPage.login(email, password);
+    expect(await this.loginPage.isLoginSuccessful(), `Login as ${role} was not successful`).to.be.true;
+    console.log(`✅ Logged in as ${role} (${email})`);
+  } catch (error) {
+    console.error(`❌ Failed to log in as ${role}:`, error.message);
+    throw error;
+  }
+});
+
+Then('the vault should have no credentials for {string} in the current environment profile', function (role) {
+  // Entries are named after the active profile: "<role>@default" when none was selected
+  expect(() => this.getCredentials(role)).to.throw(`No credentials for "${role}@${this.profile.name}"`);
+});
+
 When('I enter valid email {string}', async function (email) {
   try {
     // Handle environment variable substitution
-    const actualEmail = email.replace('${TEST_USER_EMAIL}', process.env.TEST_USER_EMAIL || 'testuser@example.com');
+    const actualEmail = email.replace('${TEST_USER_EMAIL}', this.profile.credentials.user.email || 'testuser@example.com');
     await this.loginPage.enterEmail(actualEmail);
     console.log(`✅ Entered valid email: ${actualEmail}`);
   } catch (error) {
@@ -76,7 +95,7 @@ When('I enter valid email {string}', async function (email) {
 When('I enter valid password {string}', async function (password) {
   try {
     // Handle environment variable substitution
-    const actualPassword = password.replace('${TEST_USER_PASSWORD}', process.env.TEST_USER_PASSWORD || 'Test123!');
+    const actualPassword = password.replace('${TEST_USER_PASSWORD}', this.profile.credentials.user.password || 'Test123!');
     await this.loginPage.enterPassword(actualPassword);
     console.log('✅ Entered valid password');
   } catch (error) {
@@ -0,0 +1,67 @@
+const { Given, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+
+// Browser network stubbing via Base.getNetworkMocker(). URL patterns starting with "/"
+// match the request path on any host; "*" and "**" are globs (see support/networkMocker.js).
+
+Given('the request to {string} responds with fixture {string}', async function (pattern, fixtureName) {
+  await this.base.getNetworkMocker().mockFromFixture(pattern, fixtureName);
+});
+
+Given('the {word} request to {string} responds with fixture {string}', async function (method, pattern, fixtureName) {
+  await this.base.getNetworkMocker().mockFromFixture(pattern, fixtureName, { method });
+});
+
+Given('the request to {string} responds with status {int}', async function (pattern, status) {
+  await this.base.getNetworkMocker().mockResponse(pattern, { status, body: '' });
+});
+
+Given('the request to {string} responds with status {int} and body:', async function (pattern, status, docString) {
+  let body = docString;
+  try {
+    body = JSON.parse(docString);
+  } catch (error) {
+    // Not JSON; fulfil with the text as-is
+  }
+  await this.base.getNetworkMocker().mockResponse(pattern, { status, body });
+});
+
+Given('the request to {string} is delayed by {int}ms', async function (pattern, ms) {
+  await this.base.getNetworkMocker().delay(pattern, ms);
+});
+
+Given('the request to {string} fails', async function (pattern) {
+  await this.base.getNetworkMocker().fail(pattern);
+});
+
+Given('the network routes in {string} are active', async function (fixtureName) {
+  await this.base.getNetworkMocker().loadRoutes(fixtureName);
+});
+
+Given('network traffic is replayed from HAR {string}', async function (harPath) {
+  await this.base.getNetworkMocker().replayHar(harPath);
+});
+
+Given('network traffic is replayed from the recorded HAR', async function () {
+  await this.base.getNetworkMocker().replayHar(this.base.harPath);
+});
+
+Given('unmatched network requests are blocked', async function () {
+  const mocker = this.base.getNetworkMocker();
+  mocker.setStrict(true);
+  await mocker.installCatchAll();
+});
+
+Then('the request to {string} should have been made', function (pattern) {
+  expect(this.base.getNetworkMocker().getRequests(pattern), `requests to ${pattern}`).to.not.be.empty;
+});
+
+Then('the {word} request to {string} should have been made {int} time(s)', function (method, pattern, count) {
+  expect(this.base.getNetworkMocker().getRequests(pattern, method), `${method} requests to ${pattern}`)
+    .to.have.lengthOf(count);
+});
+
+Then('no unmatched network requests should have been made', function () {
+  const { unmatchedRequests } = this.base.getNetworkMocker().getReport();
+  expect(unmatchedRequests.map(request => `${request.method} ${request.url}`)).to.be.empty;
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { describeSelector } = require('./locators');
+const { redactor, redactFormat } = require('./redaction');
+
+// Used when WebElements or a page object is created without a scenario's logger
+const createDefaultLogger = () => winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: redactFormat(),
+  defaultMeta: { service: 'actions' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+/**
+ * Structured log of the actions a scenario performs through WebElements and page objects.
+ *
+ * Every entry carries the scenario, worker, action, locator, duration (ms) and outcome. It is
+ * logged through winston (so LOG_LEVEL applies and it lands in scenario.log), kept in
+ * `entries` for assertions, and appended as one JSON line to `filePath` when one is set
+ * (reports/actions/<scenario>.jsonl for scenarios run by the hooks).
+ */
+class ActionLogger {
+  constructor(options = {}) {
+    this.logger = options.logger || createDefaultLogger();
+    this.scenario = options.scenario || null;
+    this.scenarioId = options.scenarioId || null;
+    this.attempt = options.attempt || 1;
+    this.workerId = options.workerId || process.env.CUCUMBER_WORKER_ID || '0';
+    this.filePath = options.filePath || null;
+    this.entries = [];
+  }
+
+  /**
+   * Run `fn` as one logged action and return its result. A thrown error is logged with
+   * outcome "failed" and rethrown. `details` can be a function of the result, e.g. to log
+   * the text that was read.
+   */
+  async track(action, selector, fn, details = {}) {
+    const startedAt = Date.now();
+    try {
+      const result = await fn();
+      this.record('info', {
+        action,
+        locator: selector,
+        duration: Date.now() - startedAt,
+        outcome: 'passed',
+        ...(typeof details === 'function' ? details(result) : details)
+      });
+      return result;
+    } catch (error) {
+      this.record('error', {
+        action,
+        locator: selector,
+        duration: Date.now() - startedAt,
+        outcome: 'failed',
+        ...(typeof details === 'function' ? {} : details),
+        error: error.message.split('\n')[0]
+      });
+      throw error;
+    }
+  }
+
+  // An action that was not timed, e.g. a page-level step in a page object
+  step(action, outcome = 'passed', details = {}) {
+    this.record(outcome === 'failed' ? 'error' : 'info', { action, outcome, ...details });
+  }
+
+  warn(action, details = {}) {
+    this.record('warn', { action, outcome: 'warning', ...details });
+  }
+
+  record(level, { locator, ...fields }) {
+    const entry = redactor.redact({
+      timestamp: new Date().toISOString(),
+      level,
+      scenario: this.scenario,
+      scenarioId: this.scenarioId,
+      attempt: this.attempt,
+      worker: this.workerId,
+      ...fields,
+      ...(locator !== undefined && { locator: describeSelector(locator) })
+    });
+    this.entries.push(entry);
+    if (this.filePath) {
+      // Created on the first entry so scenarios without UI actions leave no empty file
+      if (this.entries.length === 1) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, '');
+      }
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    const target = entry.locator ? ` ${entry.locator}` : '';
+    const meta = Object.fromEntries(Object.entries(entry)
+      .filter(([key]) => !['timestamp', 'level', 'action', 'outcome'].includes(key)));
+    this.logger.log(level, `${entry.action}${target}: ${entry.outcome}`, meta);
+    return entry;
+  }
+
+  // Entries matching every given field, e.g. find({ action: 'click', outcome: 'failed' })
+  find(criteria = {}) {
+    return this.entries.filter(entry => Object.entries(criteria).every(([key, value]) => entry[key] === value));
+  }
+
+  toJsonLines() {
+    return this.entries.map(entry => JSON.stringify(entry)).join('\n');
+  }
+}
+
+module.exports = { ActionLogger };
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { redactor } = require('./redaction');
+
+// Cucumber result status -> Allure status; failed steps are split into failed/broken below
+const STATUS_MAP = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  PENDING: 'skipped',
+  UNDEFINED: 'broken',
+  AMBIGUOUS: 'broken',
+  UNKNOWN: 'unknown'
+};
+
+// Tags of the form @name:value that become Allure labels instead of plain tag labels
+const LABEL_TAGS = ['feature', 'story', 'epic', 'severity', 'owner', 'suite'];
+const SEVERITIES = ['blocker', 'critical', 'normal', 'minor', 'trivial'];
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.zip': 'application/zip',
+  '.har': 'application/json',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.log': 'text/plain',
+  '.txt': 'text/plain'
+};
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'video/webm': '.webm',
+  'video/mp4': '.mp4',
+  'application/zip': '.zip',
+  'application/json': '.json',
+  'text/html': '.html',
+  'application/xml': '.xml',
+  'text/csv': '.csv',
+  'text/plain': '.txt'
+};
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+/**
+ * Allure status for a cucumber result. Assertion errors are test failures; anything
+ * else that throws (timeouts, missing elements, crashed hooks) is reported as broken.
+ */
+const toAllureStatus = (result) => {
+  if (!result) {
+    return 'unknown';
+  }
+  const status = STATUS_MAP[result.status] || 'unknown';
+  if (status !== 'failed') {
+    return status;
+  }
+  const errorType = (result.exception && result.exception.type) || result.message || '';
+  return /AssertionError|expect\(/.test(errorType) ? 'failed' : 'broken';
+};
+
+const toStatusDetails = (result) => {
+  if (!result || !result.message) {
+    return {};
+  }
+  const [message] = result.message.split('\n');
+  return { message, trace: result.message };
+};
+
+// Keyword and arguments of every gherkin step in the document, keyed by AST node id
+const indexGherkinSteps = (gherkinDocument) => {
+  const steps = {};
+  const addSteps = (node) => (node.steps || []).forEach(step => {
+    steps[step.id] = step;
+  });
+  const visit = (children = []) => children.forEach(child => {
+    if (child.background) {
+      addSteps(child.background);
+    }
+    if (child.scenario) {
+      addSteps(child.scenario);
+    }
+    if (child.rule) {
+      visit(child.rule.children);
+    }
+  });
+  visit(gherkinDocument.feature ? gherkinDocument.feature.children : []);
+  return steps;
+};
+
+// Column values of the Examples row a Scenario Outline pickle was generated from
+const findExampleParameters = (gherkinDocument, pickle) => {
+  const [scenarioId, rowId] = pickle.astNodeIds;
+  if (!rowId) {
+    return [];
+  }
+  const scenarios = [];
+  const collect = (children = []) => children.forEach(child => {
+    if (child.scenario) {
+      scenarios.push(child.scenario);
+    }
+    if (child.rule) {
+      collect(child.rule.children);
+    }
+  });
+  collect(gherkinDocument.feature ? gherkinDocument.feature.children : []);
+
+  const scenario = scenarios.find(candidate => candidate.id === scenarioId);
+  for (const examples of (scenario ? scenario.examples : [])) {
+    const row = (examples.tableBody || []).find(candidate => candidate.id === rowId);
+    if (row) {
+      return examples.tableHeader.cells.map((cell, index) => ({
+        name: cell.value,
+        value: row.cells[index].value
+      }));
+    }
+  }
+  return [];
+};
+
+/**
+ * One Allure test result: the scenario, its steps and attachments. Written to
+ * <uuid>-result.json, with a <uuid>-container.json holding the setup/teardown fixtures.
+ */
+class AllureTestResult {
+  constructor(writer, { pickle, gherkinDocument }) {
+    this.writer = writer;
+    this.uuid = crypto.randomUUID();
+    this.gherkinSteps = indexGherkinSteps(gherkinDocument);
+    this.pickle = pickle;
+    this.currentStep = null;
+    this.logLines = [];
+
+    const feature = gherkinDocument.feature || {};
+    const [scenarioId] = pickle.astNodeIds;
+    this.result = {
+      uuid: this.uuid,
+      historyId: md5(`${pickle.uri}:${pickle.astNodeIds.join(':')}`),
+      testCaseId: md5(`${pickle.uri}:${scenarioId}`),
+      fullName: `${feature.name}: ${pickle.name}`,
+      name: pickle.name,
+      status: 'unknown',
+      statusDetails: {},
+      stage: 'running',
+      start: Date.now(),
+      steps: [],
+      attachments: [],
+      parameters: findExampleParameters(gherkinDocument, pickle),
+      labels: this.buildLabels(feature, pickle.tags.map(tag => tag.name)),
+      links: []
+    };
+    this.setup = { name: 'Scenario setup', status: 'passed', stage: 'finished', start: this.result.start, steps: [], attachments: [] };
+  }
+
+  buildLabels(feature, tags) {
+    const labels = [];
+    const tagged = {};
+
+    tags.forEach(tag => {
+      const [name, ...rest] = tag.replace(/^@/, '').split(':');
+      if (rest.length > 0 && LABEL_TAGS.includes(name)) {
+        tagged[name] = rest.join(':');
+        labels.push({ name, value: tagged[name] });
+      } else if (SEVERITIES.includes(name) && rest.length === 0) {
+        tagged.severity = name;
+        labels.push({ name: 'severity', value: name });
+      } else {
+        labels.push({ name: 'tag', value: tag.replace(/^@/, '') });
+      }
+    });
+
+    if (!tagged.feature) {
+      labels.push({ name: 'feature', value: feature.name });
+    }
+    if (!tagged.suite) {
+      labels.push({ name: 'suite', value: feature.name });
+    }
+    if (!tagged.severity) {
+      labels.push({ name: 'severity', value: 'normal' });
+    }
+
+    return labels.concat(
+      { name: 'host', value: os.hostname() },
+      { name: 'thread', value: `worker-${process.env.CUCUMBER_WORKER_ID || '0'} (pid ${process.pid})` },
+      { name: 'framework', value: 'cucumberjs' },
+      { name: 'language', value: 'javascript' }
+    );
+  }
+
+  createStep(pickleStep) {
+    const gherkinStep = this.gherkinSteps[pickleStep.astNodeIds[0]] || {};
+    const step = {
+      name: `${(gherkinStep.keyword || '').trim()} ${pickleStep.text}`.trim(),
+      pickleStepId: pickleStep.id,
+      status: 'unknown',
+      stage: 'running',
+      start: Date.now(),
+      steps: [],
+      attachments: [],
+      parameters: []
+    };
+
+    const { argument } = pickleStep;
+    if (argument && argument.docString) {
+      step.attachments.push(this.writer.writeAttachment(argument.docString.content, 'Doc string', 'text/plain'));
+    }
+    if (argument && argument.dataTable) {
+      const csv = argument.dataTable.rows
+        .map(row => row.cells.map(cell => `"${cell.value.replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+      step.attachments.push(this.writer.writeAttachment(csv, 'Data table', 'text/csv'));
+    }
+    return step;
+  }
+
+  startStep(pickleStep) {
+    if (!this.setup.stop) {
+      this.setup.stop = Date.now();
+    }
+    this.currentStep = this.createStep(pickleStep);
+    this.result.steps.push(this.currentStep);
+  }
+
+  finishStep(result) {
+    if (!this.currentStep) {
+      return;
+    }
+    Object.assign(this.currentStep, {
+      status: toAllureStatus(result),
+      statusDetails: toStatusDetails(result),
+      stage: 'finished',
+      stop: Date.now()
+    });
+    this.currentStep = null;
+  }
+
+  /**
+   * Line for the scenario log attached when the result is written.
+   */
+  log(level, message) {
+    this.logLines.push(`${new Date().toISOString()} [${level.toUpperCase()}] ${message}`);
+  }
+
+  attachFile(filePath, name, type) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+    const contentType = type || CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const attachment = this.writer.writeAttachment(fs.readFileSync(filePath), name || path.basename(filePath), contentType);
+    this.result.attachments.push(attachment);
+    return attachment;
+  }
+
+  attachContent(content, name, type = 'text/plain') {
+    const attachment = this.writer.writeAttachment(content, name, type);
+    (this.currentStep || this.result).attachments.push(attachment);
+    return attachment;
+  }
+
+  /**
+   * Close the result with the scenario's final cucumber result and write it out.
+   * Steps cucumber skipped after a failure never reach the step hooks, so they are
+   * added here as skipped.
+   */
+  finish(scenarioResult) {
+    const stop = Date.now();
+    const recorded = new Map(this.result.steps.map(step => [step.pickleStepId, step]));
+    this.result.steps = this.pickle.steps.map(pickleStep => {
+      const step = recorded.get(pickleStep.id) ||
+        { ...this.createStep(pickleStep), status: 'skipped', stage: 'finished', start: stop, stop };
+      delete step.pickleStepId;
+      return step;
+    });
+
+    if (this.logLines.length > 0) {
+      this.result.attachments.push(this.writer.writeAttachment(this.logLines.join('\n'), 'Scenario log', 'text/plain'));
+    }
+
+    const lastStepStop = this.result.steps.reduce((latest, step) => Math.max(latest, step.stop || 0), 0);
+    const teardown = { name: 'Scenario teardown', status: 'passed', stage: 'finished', start: lastStepStop || stop, stop, steps: [], attachments: [] };
+    this.setup.stop = this.setup.stop || stop;
+
+    Object.assign(this.result, {
+      status: toAllureStatus(scenarioResult),
+      statusDetails: toStatusDetails(scenarioResult),
+      stage: 'finished',
+      stop
+    });
+
+    this.writer.writeJson(`${this.uuid}-result.json`, this.result);
+    this.writer.writeJson(`${crypto.randomUUID()}-container.json`, {
+      uuid: crypto.randomUUID(),
+      name: this.result.name,
+      children: [this.uuid],
+      befores: [this.setup],
+      afters: [teardown],
+      start: this.result.start,
+      stop
+    });
+    return this.result;
+  }
+}
+
+/**
+ * Writes Allure 2 result files (results, containers, attachments, environment.properties
+ * and executor.json) into ALLURE_RESULTS_PATH for `npm run report:allure`.
+ */
+class AllureWriter {
+  constructor(resultsDir = process.env.ALLURE_RESULTS_PATH || './reports/allure-results') {
+    this.resultsDir = resultsDir;
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.resultsDir)) {
+      fs.mkdirSync(this.resultsDir, { recursive: true });
+    }
+  }
+
+  writeJson(fileName, data) {
+    this.ensureDir();
+    fs.writeFileSync(path.join(this.resultsDir, fileName), JSON.stringify(redactor.redact(data), null, 2));
+  }
+
+  writeAttachment(content, name, type) {
+    this.ensureDir();
+    const source = `${crypto.randomUUID()}-attachment${EXTENSIONS[type] || ''}`;
+    fs.writeFileSync(path.join(this.resultsDir, source), typeof content === 'string' ? redactor.redactText(content) : content);
+    return { name, source, type };
+  }
+
+  startTest(testCase) {
+    return new AllureTestResult(this, testCase);
+  }
+
+  /**
+   * environment.properties: the run's profile, browser and platform, shown on the
+   * report's overview page.
+   */
+  writeEnvironment(properties) {
+    this.ensureDir();
+    const lines = Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key.replace(/[\s:=]/g, '_')}=${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    fs.writeFileSync(path.join(this.resultsDir, 'environment.properties'), `${lines.join('\n')}\n`);
+  }
+
+  /**
+   * executor.json: who ran the tests, so the report links back to the CI build.
+   */
+  writeExecutor() {
+    const { env } = process;
+    let executor;
+    if (env.GITHUB_ACTIONS) {
+      const buildUrl = `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`;
+      executor = {
+        name: 'GitHub Actions',
+        type: 'github',
+        url: `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}`,
+        buildOrder: Number(env.GITHUB_RUN_NUMBER),
+        buildName: `${env.GITHUB_WORKFLOW} #${env.GITHUB_RUN_NUMBER}`,
+        buildUrl
+      };
+    } else if (env.JENKINS_URL) {
+      executor = {
+        name: 'Jenkins',
+        type: 'jenkins',
+        url: env.JENKINS_URL,
+        buildOrder: Number(env.BUILD_NUMBER),
+        buildName: `${env.JOB_NAME} #${env.BUILD_NUMBER}`,
+        buildUrl: env.BUILD_URL
+      };
+    } else {
+      executor = {
+        name: os.hostname(),
+        type: 'local',
+        buildName: `Local run ${new Date().toISOString()}`
+      };
+    }
+    this.writeJson('executor.json', executor);
+  }
+}
+
+module.exports = { AllureWriter, toAllureStatus };
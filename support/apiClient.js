@@ -3,15 +3,28 @@ const Joi = require('joi');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { loadEnvironmentProfile } = require('./environment');
+const { redactFormat } = require('./redaction');
 require('dotenv').config({ path: path.join(__dirname, '../env.config') });
 
 class ApiClient {
   constructor(baseURL, options = {}) {
-    this.baseURL = baseURL || process.env.API_BASE_URL;
+    this.profile = options.profile || loadEnvironmentProfile(process.env.TEST_ENV);
+    this.baseURL = baseURL || this.profile.apiBaseURL;
     this.logger = this.setupLogger();
     this.rateLimitQueue = [];
+    this.lastResponse = null;
     this.rateLimitDelay = parseInt(process.env.API_RATE_LIMIT) || 100;
     this.retryAttempts = parseInt(process.env.API_RETRY_ATTEMPTS) || 3;
+    this.retryBaseDelay = parseInt(process.env.API_RETRY_DELAY) || 1000;
+    this.metrics = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      responseTimes: []
+    };
     
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -19,6 +32,8 @@ class ApiClient {
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'Automation-Framework/2.0.0',
+        // Identifies this client instance for server-side rate limiting and tracing
+        'X-Client-Id': crypto.randomUUID(),
         ...options.headers
       }
     });
@@ -38,6 +53,7 @@ class ApiClient {
       format: winston.format.combine(
         winston.format.timestamp(),
         winston.format.errors({ stack: true }),
+        redactFormat(),
         winston.format.json()
       ),
       defaultMeta: { service: 'api-client' },
@@ -65,6 +81,10 @@ class ApiClient {
       async (config) => {
         // Rate limiting
         await this.handleRateLimit();
+
+        // Timing for toApiResponse (reset on every retry attempt)
+        config.metadata = { startTime: Date.now() };
+        this.metrics.requests++;
         
         // Log request
         this.logger.info(`API Request: ${config.method?.toUpperCase()} ${config.url}`, {
@@ -88,9 +108,18 @@ class ApiClient {
           statusText: response.statusText,
           data: response.data
         });
+        this.lastResponse = this.toApiResponse(response);
+        this.metrics.successes++;
+        this.metrics.responseTimes.push(this.lastResponse.duration);
         return response;
       },
-      async (error) => {
+      (error) => {
+        this.metrics.failures++;
+        if (error.response) {
+          this.lastResponse = this.toApiResponse(error.response);
+          this.metrics.responseTimes.push(this.lastResponse.duration);
+        }
+
         this.logger.error('API Response Error:', {
           status: error.response?.status,
           statusText: error.response?.statusText,
@@ -98,8 +127,9 @@ class ApiClient {
           message: error.message
         });
 
-        // Retry logic for specific errors
-        if (this.shouldRetry(error) && error.config && !error.config._retry) {
+        // Retry logic for specific errors; pass `retry: false` in the request config to opt out
+        if (error.config && error.config.retry !== false && this.shouldRetry(error) &&
+            (error.config._retryCount || 0) < this.retryAttempts) {
           return this.retryRequest(error.config);
         }
 
@@ -162,14 +192,57 @@ class ApiClient {
       throw new Error(`Max retry attempts (${this.retryAttempts}) exceeded`);
     }
     
-    const delay = Math.pow(2, config._retryCount) * 1000; // Exponential backoff
+    const delay = Math.pow(2, config._retryCount - 1) * this.retryBaseDelay; // Exponential backoff
     await new Promise(resolve => setTimeout(resolve, delay));
     
+    this.metrics.retries++;
     this.logger.info(`Retrying request (attempt ${config._retryCount}): ${config.method} ${config.url}`);
     return this.client(config);
   }
 
   // HTTP Methods
+  /**
+   * Send a request and return the full response: status, headers, parsed body and timing.
+   * Unlike get/post/..., HTTP error statuses are returned rather than thrown, so callers
+   * can assert on 4xx/5xx responses. Only network-level failures throw.
+   */
+  async request(method, endpoint, options = {}) {
+    const { data, schema, ...config } = options;
+    let response;
+    try {
+      response = await this.client.request({ ...config, method, url: endpoint, data });
+    } catch (error) {
+      if (!error.response) {
+        throw this.handleError(error, method.toUpperCase(), endpoint);
+      }
+      ({ response } = error);
+    }
+
+    const apiResponse = this.toApiResponse(response);
+    if (schema && response.status < 400) {
+      apiResponse.body = this.validateResponse(response, schema);
+    }
+    return apiResponse;
+  }
+
+  toApiResponse(response) {
+    const { config = {} } = response;
+    const startTime = config.metadata ? config.metadata.startTime : Date.now();
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+      body: response.data,
+      duration: Date.now() - startTime,
+      retries: config._retryCount || 0,
+      request: {
+        method: config.method?.toUpperCase(),
+        url: config.url
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
   async get(endpoint, options = {}) {
     try {
       const response = await this.client.get(endpoint, options);
@@ -216,17 +289,23 @@ class ApiClient {
   }
 
   // File Upload
+  buildUploadForm(filePath, fieldName = 'file', additionalData = {}) {
+    const FormData = require('form-data');
+    const form = new FormData();
+    
+    form.append(fieldName, fs.createReadStream(filePath));
+    
+    // Add additional data
+    Object.keys(additionalData).forEach(key => {
+      form.append(key, additionalData[key]);
+    });
+
+    return form;
+  }
+
   async uploadFile(endpoint, filePath, fieldName = 'file', additionalData = {}) {
     try {
-      const FormData = require('form-data');
-      const form = new FormData();
-      
-      form.append(fieldName, fs.createReadStream(filePath));
-      
-      // Add additional data
-      Object.keys(additionalData).forEach(key => {
-        form.append(key, additionalData[key]);
-      });
+      const form = this.buildUploadForm(filePath, fieldName, additionalData);
       
       const response = await this.client.post(endpoint, form, {
         headers: {
@@ -421,6 +500,21 @@ class ApiClient {
     return this.rateLimitQueue.length;
   }
 
+  // Request counters and timings for this client instance
+  getMetrics() {
+    const { responseTimes } = this.metrics;
+    const total = this.metrics.successes + this.metrics.failures;
+    return {
+      ...this.metrics,
+      successRate: total > 0 ? this.metrics.successes / total : 0,
+      failureRate: total > 0 ? this.metrics.failures / total : 0,
+      averageResponseTime: responseTimes.length > 0
+        ? responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length
+        : 0,
+      maxResponseTime: responseTimes.length > 0 ? Math.max(...responseTimes) : 0
+    };
+  }
+
   resetRateLimit() {
     this.rateLimitQueue = [];
   }
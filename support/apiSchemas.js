@@ -0,0 +1,70 @@
+const Joi = require('joi');
+
+// Response schemas shared by the API step definitions; extra fields are allowed
+const schemas = {
+  user: Joi.object({
+    id: Joi.number().required(),
+    name: Joi.string().required(),
+    email: Joi.string().email().required()
+  }).unknown(true),
+
+  product: Joi.object({
+    id: Joi.number().required(),
+    name: Joi.string().required(),
+    price: Joi.number().positive().required(),
+    category: Joi.string()
+  }).unknown(true),
+
+  authResponse: Joi.object({
+    token: Joi.string().required(),
+    user: Joi.object({
+      id: Joi.number().required(),
+      email: Joi.string().email().required()
+    }).unknown(true).required()
+  }).unknown(true),
+
+  order: Joi.object({
+    id: Joi.number().required(),
+    userId: Joi.number().required(),
+    status: Joi.string().required(),
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.number().required(),
+        quantity: Joi.number().integer().positive().required()
+      }).unknown(true)
+    ).required()
+  }).unknown(true),
+
+  pagination: Joi.object({
+    page: Joi.number().integer().min(1).required(),
+    limit: Joi.number().integer().min(1).required(),
+    total: Joi.number().integer().min(0).required(),
+    totalPages: Joi.number().integer().min(0).required()
+  }).unknown(true),
+
+  health: Joi.object({
+    status: Joi.string().required(),
+    version: Joi.string().required()
+  }).unknown(true),
+
+  error: Joi.object({
+    error: Joi.string().required()
+  }).unknown(true)
+};
+
+const getSchema = (name) => {
+  const schema = schemas[name];
+  if (!schema) {
+    throw new Error(`Unknown schema "${name}". Available schemas: ${Object.keys(schemas).join(', ')}`);
+  }
+  return schema;
+};
+
+const assertMatchesSchema = (value, name) => {
+  const { error } = getSchema(name).validate(value, { abortEarly: false });
+  if (error) {
+    throw new Error(`Response does not match the "${name}" schema: ${error.message}`);
+  }
+};
+
+module.exports = { schemas, getSchema, assertMatchesSchema };
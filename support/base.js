@@ -3,18 +3,32 @@ const axios = require('axios');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { loadEnvironmentProfile } = require('./environment');
+const { NetworkMocker } = require('./networkMocker');
+const { describeSelector } = require('./locators');
+const { ActionLogger } = require('./actionLogger');
+const { redactFormat } = require('./redaction');
 require('dotenv').config({ path: path.join(__dirname, '../env.config') });
 
 class Base {
-  constructor() {
+  constructor(config = {}, profile = loadEnvironmentProfile(config.environment)) {
     this.browser = null;
     this.context = null;
     this.page = null;
-    this.browserType = process.env.BROWSER || 'chromium';
-    this.headless = process.env.HEADLESS !== 'false';
-    this.baseURL = process.env.BASE_URL || 'https://demowebshop.tricentis.com';
-    this.apiBaseURL = process.env.API_BASE_URL;
+    this.networkMocker = null;
+    this.tracing = false;
+    this.ownsBrowser = false;
+    this.browserType = config.browser || process.env.BROWSER || 'chromium';
+    this.headless = config.headless !== undefined ? config.headless : process.env.HEADLESS !== 'false';
+    this.device = config.device;
+    this.videoMode = config.videoMode || 'off';
+    this.profile = profile;
+    this.baseURL = profile.baseURL;
+    this.apiBaseURL = profile.apiBaseURL;
+    this.harPath = path.join(process.env.TRACE_PATH || './reports/traces', 'trace.har');
     this.setupLogger();
+    // The hooks replace this with the scenario's logger before creating the page
+    this.actionLogger = new ActionLogger({ logger: this.logger });
     this.setupApiClient();
   }
 
@@ -29,6 +43,7 @@ class Base {
       format: winston.format.combine(
         winston.format.timestamp(),
         winston.format.errors({ stack: true }),
+        redactFormat(),
         winston.format.json()
       ),
       defaultMeta: { service: 'automation-framework' },
@@ -85,7 +100,13 @@ class Base {
     );
   }
 
+  // Launch a new browser and open a fresh context and page in it
   async initializeBrowser(options = {}) {
+    await this.launchBrowser(options);
+    await this.createContext(options);
+  }
+
+  async launchBrowser(options = {}) {
     try {
       const browserOptions = {
         headless: options.headless !== undefined ? options.headless : this.headless,
@@ -98,14 +119,8 @@ class Base {
         ]
       };
 
-      // Add device emulation if specified
-      if (options.device) {
-        const deviceConfig = devices[options.device];
-        if (deviceConfig) {
-          browserOptions.deviceScaleFactor = deviceConfig.deviceScaleFactor;
-          browserOptions.isMobile = deviceConfig.isMobile;
-          browserOptions.hasTouch = deviceConfig.hasTouch;
-        }
+      if (options.browser) {
+        this.browserType = options.browser;
       }
 
       switch (this.browserType.toLowerCase()) {
@@ -118,28 +133,64 @@ class Base {
         default:
           this.browser = await chromium.launch(browserOptions);
       }
+      this.ownsBrowser = true;
+
+      this.logger.info(`Browser ${this.browserType} launched successfully`, {
+        headless: browserOptions.headless
+      });
+      return this.browser;
+    } catch (error) {
+      this.logger.error('Failed to launch browser:', error);
+      throw error;
+    }
+  }
+
+  // Reuse a browser launched elsewhere (e.g. once per worker); closeBrowser leaves it running
+  useBrowser(browser) {
+    this.browser = browser;
+    this.browserType = browser.browserType().name();
+    this.ownsBrowser = false;
+  }
 
+  async createContext(options = {}) {
+    try {
       const contextOptions = {
         viewport: {
           width: parseInt(process.env.VIEWPORT_WIDTH) || 1280,
           height: parseInt(process.env.VIEWPORT_HEIGHT) || 720
         },
         ignoreHTTPSErrors: true,
-        recordVideo: process.env.VIDEO_ON_FAILURE === 'true' ? {
+        recordVideo: this.videoMode !== 'off' ? {
           dir: process.env.VIDEO_PATH || './reports/videos'
         } : undefined,
         recordHar: process.env.TRACE_ON_FAILURE === 'true' ? {
-          path: path.join(process.env.TRACE_PATH || './reports/traces', 'trace.har')
+          path: this.harPath
         } : undefined,
         userAgent: process.env.USER_AGENT
       };
 
+      // Add device emulation if specified (viewport, user agent, touch, scale)
+      const deviceName = options.device || this.device;
+      if (deviceName) {
+        const deviceConfig = devices[deviceName];
+        if (deviceConfig) {
+          Object.assign(contextOptions, deviceConfig);
+          delete contextOptions.defaultBrowserType;
+          if (this.browserType.toLowerCase() === 'firefox') {
+            // Firefox does not support isMobile emulation
+            delete contextOptions.isMobile;
+          }
+        } else {
+          this.logger.warn(`Unknown device "${deviceName}", using desktop viewport`);
+        }
+      }
+
       this.context = await this.browser.newContext(contextOptions);
       this.page = await this.context.newPage();
       
       // Initialize webElements
       const WebElements = require('./webElements');
-      this.webElements = new WebElements(this.page);
+      this.webElements = new WebElements(this.page, this.actionLogger);
       
       // Set default timeout
       await this.page.setDefaultTimeout(parseInt(process.env.TIMEOUT) || 30000);
@@ -150,9 +201,12 @@ class Base {
         window.performance.measure = window.performance.measure || function() {};
       });
 
-      this.logger.info(`Browser ${this.browserType} initialized successfully`);
+      this.logger.info(`Browser context created on ${this.browserType}`, {
+        device: deviceName,
+        sharedBrowser: !this.ownsBrowser
+      });
     } catch (error) {
-      this.logger.error('Failed to initialize browser:', error);
+      this.logger.error('Failed to create browser context:', error);
       throw error;
     }
   }
@@ -199,33 +253,84 @@ class Base {
     }
   }
 
-  async closeBrowser() {
+  // Playwright trace of the current context, with screenshots and DOM snapshots per action
+  async startTracing(title) {
+    try {
+      await this.context.tracing.start({ title, screenshots: true, snapshots: true, sources: true });
+      this.tracing = true;
+    } catch (error) {
+      this.logger.error('Failed to start tracing:', error);
+    }
+  }
+
+  /**
+   * Stop tracing and save the trace to tracePath, or discard it when no path is given.
+   * Returns the saved path. Must run before the context closes.
+   */
+  async stopTracing(tracePath) {
+    if (!this.tracing || !this.context) {
+      return null;
+    }
+    this.tracing = false;
+    try {
+      if (!tracePath) {
+        await this.context.tracing.stop();
+        return null;
+      }
+      fs.mkdirSync(path.dirname(tracePath), { recursive: true });
+      await this.context.tracing.stop({ path: tracePath });
+      this.logger.info(`Trace saved: ${tracePath}`);
+      return tracePath;
+    } catch (error) {
+      this.logger.error('Failed to stop tracing:', error);
+      return null;
+    }
+  }
+
+  async closeContext() {
     try {
+      this.tracing = false;
+      if (this.networkMocker) {
+        this.networkMocker.dispose();
+        this.networkMocker = null;
+      }
       if (this.context) {
         await this.context.close();
+        this.context = null;
       }
-      if (this.browser) {
+    } catch (error) {
+      this.logger.error('Failed to close browser context:', error);
+    }
+  }
+
+  // Closes the scenario context; the browser itself only if this instance launched it
+  async closeBrowser() {
+    try {
+      await this.closeContext();
+      if (this.browser && this.ownsBrowser) {
         await this.browser.close();
+        this.logger.info('Browser closed successfully');
       }
-      this.logger.info('Browser closed successfully');
     } catch (error) {
       this.logger.error('Failed to close browser:', error);
     }
   }
 
+  // Element helpers accept any selector WebElements does: CSS, a locator descriptor or a candidate list
   async waitForElement(selector, timeout = 10000) {
     try {
-      await this.page.waitForSelector(selector, { timeout });
-      return await this.page.locator(selector);
+      const element = await this.webElements.resolve(selector, { timeout });
+      await element.first().waitFor({ state: 'visible', timeout });
+      return element;
     } catch (error) {
-      this.logger.error(`Element not found: ${selector}`, error);
+      this.logger.error(`Element not found: ${describeSelector(selector)}`, error);
       throw error;
     }
   }
 
   async isElementVisible(selector) {
     try {
-      const element = await this.page.locator(selector);
+      const element = await this.webElements.resolve(selector, { required: false });
       return await element.isVisible();
     } catch (error) {
       return false;
@@ -234,10 +339,10 @@ class Base {
 
   async getElementText(selector) {
     try {
-      const element = await this.page.locator(selector);
+      const element = await this.webElements.resolve(selector, { state: 'attached', required: false });
       return await element.textContent();
     } catch (error) {
-      this.logger.error(`Failed to get text from: ${selector}`, error);
+      this.logger.error(`Failed to get text from: ${describeSelector(selector)}`, error);
       return '';
     }
   }
@@ -440,25 +545,20 @@ class Base {
 
   async scrollToElement(selector) {
     try {
-      const element = await this.page.locator(selector);
+      const element = await this.webElements.resolve(selector, { state: 'attached', required: false });
       await element.scrollIntoViewIfNeeded();
     } catch (error) {
-      this.logger.error(`Failed to scroll to element: ${selector}`, error);
+      this.logger.error(`Failed to scroll to element: ${describeSelector(selector)}`, error);
     }
   }
 
   async waitForElementToBeStable(selector, timeout = 5000) {
     try {
-      await this.page.waitForFunction(
-        (sel) => {
-          const element = document.querySelector(sel);
-          return element && element.offsetWidth > 0 && element.offsetHeight > 0;
-        },
-        selector,
-        { timeout }
-      );
+      // Playwright's "visible" state means a non-empty bounding box
+      const element = await this.webElements.resolve(selector, { timeout });
+      await element.first().waitFor({ state: 'visible', timeout });
     } catch (error) {
-      this.logger.error(`Element not stable: ${selector}`, error);
+      this.logger.error(`Element not stable: ${describeSelector(selector)}`, error);
       throw error;
     }
   }
@@ -470,6 +570,17 @@ class Base {
   getApiClient() {
     return this.apiClient;
   }
+
+  // Created on first use so scenarios without network stubs add no routes
+  getNetworkMocker() {
+    if (!this.context) {
+      throw new Error('Network mocking needs a browser context; this scenario runs without a browser');
+    }
+    if (!this.networkMocker) {
+      this.networkMocker = new NetworkMocker(this.context, { logger: this.logger });
+    }
+    return this.networkMocker;
+  }
 }
 
 module.exports = Base; 
\ No newline at end of file
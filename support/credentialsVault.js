@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { redactor } = require('./redaction');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+
+const DEFAULT_VAULT_PATH = path.join(__dirname, '../credentials.vault.json');
+const VAULT_VERSION = 1;
+
+// aes-256-gcm with a key derived from ENCRYPTION_KEY by scrypt; the salt is stored in the vault
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// The value env.config ships with; encrypting with it would protect nothing
+const PLACEHOLDER_KEY = 'your-encryption-key-here';
+
+// Known value encrypted into the vault's `keyCheck`, to tell a wrong ENCRYPTION_KEY apart
+const KEY_CHECK_ID = 'key-check';
+const KEY_CHECK_VALUE = 'credentials-vault';
+
+const entryId = (role, environment) => `${role}@${environment}`;
+
+const seal = (key, id, value) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+// Throws when the key is wrong or the sealed value was modified
+const unseal = (key, id, sealed) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+};
+
+const parseEntryId = (id) => {
+  const separator = String(id).lastIndexOf('@');
+  if (separator <= 0 || separator === id.length - 1) {
+    throw new Error(`Vault entries are named "<role>@<environment>" (e.g. admin@stage), got "${id}"`);
+  }
+  return { role: id.slice(0, separator), environment: id.slice(separator + 1) };
+};
+
+/**
+ * Encrypted credentials per role and environment ("customer@stage", "admin@prod") in
+ * credentials.vault.json (VAULT_PATH). Only the entry names and timestamps are readable
+ * without ENCRYPTION_KEY, so the file can be committed. Each entry is encrypted on its own
+ * with its name as associated data, so entries cannot be swapped or edited unnoticed.
+ * `keyCheck` ties the file to one ENCRYPTION_KEY: a different key is refused before any
+ * entry is written with it.
+ */
+class CredentialsVault {
+  constructor(options = {}) {
+    this.file = options.file || process.env.VAULT_PATH || DEFAULT_VAULT_PATH;
+    this.encryptionKey = options.encryptionKey !== undefined ? options.encryptionKey : process.env.ENCRYPTION_KEY;
+    this.data = null;
+    this.key = null;
+  }
+
+  load() {
+    if (!this.data) {
+      this.data = fs.existsSync(this.file)
+        ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+        : { version: VAULT_VERSION, salt: crypto.randomBytes(16).toString('base64'), entries: {} };
+      if (this.data.version !== VAULT_VERSION) {
+        throw new Error(`Unsupported vault version ${this.data.version} in ${this.file}`);
+      }
+    }
+    return this.data;
+  }
+
+  save() {
+    const data = this.load();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(`${this.file}.tmp`, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  deriveKey() {
+    if (!this.key) {
+      if (!this.encryptionKey || this.encryptionKey === PLACEHOLDER_KEY) {
+        throw new Error('ENCRYPTION_KEY is not set. Set it in the environment (or env.config) to use the credentials vault');
+      }
+      const key = crypto.scryptSync(this.encryptionKey, Buffer.from(this.load().salt, 'base64'), KEY_LENGTH, SCRYPT_OPTIONS);
+      this.verifyKey(key);
+      this.key = key;
+    }
+    return this.key;
+  }
+
+  /**
+   * Refuse a key that does not open the vault, so entries are never encrypted under two
+   * keys. Checked against `keyCheck`, or the first entry of a vault written before it
+   * existed; the check value is added for the next save.
+   */
+  verifyKey(key) {
+    const data = this.load();
+    const [id, sealed] = data.keyCheck ? [KEY_CHECK_ID, data.keyCheck] : Object.entries(data.entries)[0] || [];
+    if (sealed) {
+      try {
+        unseal(key, id, sealed);
+      } catch {
+        throw new Error(`ENCRYPTION_KEY does not match the key ${this.file} is encrypted with. Use that key, or re-encrypt the vault with: node runner/vault.js rekey`);
+      }
+    }
+    if (!data.keyCheck) {
+      data.keyCheck = seal(key, KEY_CHECK_ID, KEY_CHECK_VALUE);
+    }
+  }
+
+  encrypt(id, credentials) {
+    return seal(this.deriveKey(), id, credentials);
+  }
+
+  decrypt(id, entry) {
+    try {
+      return unseal(this.deriveKey(), id, entry);
+    } catch (error) {
+      if (error.message.startsWith('ENCRYPTION_KEY')) {
+        throw error;
+      }
+      throw new Error(`Cannot decrypt vault entry ${id}: ENCRYPTION_KEY is wrong or the entry was modified`);
+    }
+  }
+
+  // Entry names and timestamps only; listing needs no key
+  list() {
+    return Object.entries(this.load().entries)
+      .map(([id, { createdAt, updatedAt }]) => ({ id, ...parseEntryId(id), createdAt, updatedAt }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  has(role, environment) {
+    return Boolean(this.load().entries[entryId(role, environment)]);
+  }
+
+  /**
+   * Decrypted credentials for a role in an environment, e.g. { email, password }. Secret
+   * fields are registered with the redactor so they never show up in logs or reports.
+   */
+  get(role, environment) {
+    const id = entryId(role, environment);
+    const entry = this.load().entries[id];
+    if (!entry) {
+      throw new Error(`No credentials for "${id}" in ${this.file}. Add them with: node runner/vault.js add ${id} --email=<email>`);
+    }
+    const credentials = this.decrypt(id, entry);
+    redactor.addValues(Object.entries(credentials)
+      .filter(([field]) => redactor.isSecretKey(field))
+      .map(([, value]) => value));
+    return credentials;
+  }
+
+  add(role, environment, credentials, { overwrite = false } = {}) {
+    const id = entryId(role, environment);
+    const { entries } = this.load();
+    if (entries[id] && !overwrite) {
+      throw new Error(`"${id}" is already in the vault; rotate it instead`);
+    }
+    const now = new Date().toISOString();
+    entries[id] = {
+      createdAt: entries[id] ? entries[id].createdAt : now,
+      updatedAt: now,
+      ...this.encrypt(id, credentials)
+    };
+    return id;
+  }
+
+  // Replace some fields of an entry (usually the password); the rest is kept
+  rotate(role, environment, changes) {
+    const current = this.get(role, environment);
+    return this.add(role, environment, { ...current, ...changes }, { overwrite: true });
+  }
+
+  remove(role, environment) {
+    const id = entryId(role, environment);
+    const { entries } = this.load();
+    if (!entries[id]) {
+      throw new Error(`"${id}" is not in the vault`);
+    }
+    delete entries[id];
+    return id;
+  }
+
+  // Re-encrypt every entry under a new ENCRYPTION_KEY (and a new salt)
+  rekey(newEncryptionKey) {
+    const decrypted = this.list().map(({ id, role, environment }) => ({ id, role, environment, credentials: this.get(role, environment) }));
+    const { entries } = this.load();
+    // Emptied along with the check value, so the new key is checked against nothing and writes its own
+    this.data.salt = crypto.randomBytes(16).toString('base64');
+    this.data.entries = {};
+    delete this.data.keyCheck;
+    this.encryptionKey = newEncryptionKey;
+    this.key = null;
+    decrypted.forEach(({ id, credentials }) => {
+      this.data.entries[id] = { ...entries[id], ...this.encrypt(id, credentials) };
+    });
+    return decrypted.length;
+  }
+}
+
+// Random password with upper, lower, digit and symbol characters, for add/rotate --generate
+const generatePassword = (length = 20) => {
+  const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!#$%*+-=?@_'];
+  const all = sets.join('');
+  const chars = [
+    ...sets.map(set => set[crypto.randomInt(set.length)]),
+    ...Array.from({ length: length - sets.length }, () => all[crypto.randomInt(all.length)])
+  ];
+  // Fisher-Yates, so the guaranteed characters are not always first
+  for (let index = chars.length - 1; index > 0; index--) {
+    const swap = crypto.randomInt(index + 1);
+    [chars[index], chars[swap]] = [chars[swap], chars[index]];
+  }
+  return chars.join('');
+};
+
+module.exports = { CredentialsVault, entryId, parseEntryId, generatePassword };
@@ -0,0 +1,140 @@
+const dotenv = require('dotenv');
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Named profiles and the env.config key prefix each one reads (e.g. STAGE_URL)
+const PROFILES = {
+  dev: { prefix: 'DEV' },
+  stage: { prefix: 'STAGE' },
+  prod: { prefix: 'PROD' },
+  local: { prefix: 'LOCAL', defaultBaseURL: 'http://localhost:3000' }
+};
+
+const PROFILE_ALIASES = {
+  development: 'dev',
+  staging: 'stage',
+  production: 'prod'
+};
+
+const DEFAULT_PROFILE = 'default';
+
+const profileCache = new Map();
+
+const normalizeProfileName = (name) => {
+  if (!name) {
+    return DEFAULT_PROFILE;
+  }
+  const lowerName = String(name).toLowerCase();
+  return PROFILE_ALIASES[lowerName] || lowerName;
+};
+
+const readOverrideFile = (name) => {
+  const overridePath = path.join(ROOT_DIR, `env.${name}.config`);
+  if (!fs.existsSync(overridePath)) {
+    return null;
+  }
+  return {
+    file: path.basename(overridePath),
+    values: dotenv.parse(fs.readFileSync(overridePath))
+  };
+};
+
+// Builds (and caches) the layered profile documented on loadEnvironmentProfile
+const resolveProfile = (profileName, name) => {
+  if (profileCache.has(profileName)) {
+    return profileCache.get(profileName);
+  }
+
+  const definition = PROFILES[profileName] || {};
+  const override = profileName === DEFAULT_PROFILE ? null : readOverrideFile(profileName);
+
+  if (profileName !== DEFAULT_PROFILE && !PROFILES[profileName] && !override) {
+    throw new Error(
+      `Unknown environment profile "${name}". Expected one of: ${Object.keys(PROFILES).join(', ')} ` +
+      `or an env.${profileName}.config file`
+    );
+  }
+
+  const fileValues = override ? override.values : {};
+  const lookup = (key, { profileKey = definition.prefix && `${definition.prefix}_${key}`, profileDefault } = {}) => {
+    if (fileValues[key] !== undefined) {
+      return fileValues[key];
+    }
+    if (profileKey && process.env[profileKey] !== undefined) {
+      return process.env[profileKey];
+    }
+    if (profileDefault !== undefined) {
+      return profileDefault;
+    }
+    return process.env[key];
+  };
+
+  const profile = {
+    name: profileName,
+    sources: ['env.config', ...(override ? [override.file] : [])],
+    baseURL: lookup('BASE_URL', {
+      profileKey: definition.prefix && `${definition.prefix}_URL`,
+      profileDefault: definition.defaultBaseURL
+    }) || 'https://demowebshop.tricentis.com',
+    apiBaseURL: lookup('API_BASE_URL'),
+    credentials: {
+      user: {
+        email: lookup('TEST_USER_EMAIL'),
+        password: lookup('TEST_USER_PASSWORD')
+      },
+      admin: {
+        email: lookup('ADMIN_USER_EMAIL'),
+        password: lookup('ADMIN_USER_PASSWORD')
+      }
+    },
+    apiKey: lookup('API_KEY'),
+    apiSecret: lookup('API_SECRET')
+  };
+
+  profileCache.set(profileName, profile);
+  return profile;
+};
+
+/**
+ * Resolve a named environment profile (dev/stage/prod/local).
+ *
+ * Values are layered, last one wins:
+ *   1. env.config base keys (BASE_URL, API_BASE_URL, TEST_USER_EMAIL, ...)
+ *   2. env.config profile keys (STAGE_URL, STAGE_API_BASE_URL, STAGE_TEST_USER_EMAIL, ...)
+ *   3. env.<name>.config, using the base key names
+ *
+ * Without a name the default profile is used, which reads only the base keys.
+ * `overrides` (e.g. { baseURL, apiBaseURL } from the runner's --local-app / --mock-api)
+ * win over every layer.
+ */
+const loadEnvironmentProfile = (name, overrides = {}) => {
+  const profile = resolveProfile(normalizeProfileName(name), name);
+  const applied = Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null);
+  if (applied.length === 0) {
+    return profile;
+  }
+  return {
+    ...profile,
+    ...Object.fromEntries(applied),
+    sources: [...profile.sources, 'world parameters']
+  };
+};
+
+/**
+ * Profile details that are safe to publish in reports (no credentials).
+ */
+const describeProfile = (profile) => ({
+  name: profile.name,
+  sources: profile.sources,
+  baseURL: profile.baseURL,
+  apiBaseURL: profile.apiBaseURL
+});
+
+module.exports = {
+  PROFILES,
+  loadEnvironmentProfile,
+  describeProfile
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Masks applied to failure messages, in order, so one root cause gives one signature
+const SIGNATURE_MASKS = [
+  // eslint-disable-next-line no-control-regex -- ANSI colour codes start with ESC
+  [/\u001b\[[0-9;]*m/g, ''],
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, '<url>'],
+  [/\b(locator|getBy\w+)\((.*?)\)/g, '$1(<selector>)'],
+  [/(['"`])(?:[#.[/]|xpath=|css=|text=|role=)[^'"`]*\1/g, '$1<selector>$1'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b\d+(\.\d+)?(ms|s|px)?\b/g, '<n>'],
+  [/\s+/g, ' ']
+];
+
+/**
+ * Normalised signature of a cucumber error_message: the message (up to the stack trace or
+ * Playwright's call log) with URLs, selectors, ids and numbers masked, plus the function and
+ * file of the top stack frame in this repository's code (outside node_modules). The line
+ * number is left out so unrelated edits to the same file keep signatures stable.
+ */
+const errorSignature = (errorMessage = '') => {
+  const lines = String(errorMessage).split('\n');
+  // The message ends at the stack trace, Playwright's call log or chai's expected/actual diff
+  const stackStart = lines.findIndex(line => /^\s+at |^\s*Call log:|^\s*\+ expected - actual|^\s*$/.test(line));
+  const message = SIGNATURE_MASKS.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    lines.slice(0, stackStart === -1 ? lines.length : stackStart).join(' ')
+  ).trim().slice(0, 300);
+
+  const frameLine = lines
+    .filter(line => /^\s+at /.test(line))
+    .find(line => line.includes(PROJECT_ROOT) && !line.includes('node_modules'));
+  const frameMatch = frameLine && frameLine.match(/at (?:(.+?) \()?(.+?):\d+:\d+\)?$/);
+  const frame = frameMatch
+    ? `${frameMatch[1] ? `${frameMatch[1]} ` : ''}${path.relative(PROJECT_ROOT, frameMatch[2])}`
+    : null;
+
+  const signature = frame ? `${message} @ ${frame}` : message;
+  return {
+    id: crypto.createHash('sha1').update(signature).digest('hex').slice(0, 10),
+    signature,
+    message,
+    frame
+  };
+};
+
+module.exports = { errorSignature };
@@ -1,10 +1,19 @@
-const { Before, After, AfterAll, BeforeAll } = require('@cucumber/cucumber');
+const { Before, After, AfterAll, BeforeAll, BeforeStep, AfterStep, formatterHelpers } = require('@cucumber/cucumber');
 const Base = require('./base');
+const { AllureWriter } = require('./allureWriter');
+const ReportShards = require('./reportShards');
+const { publishRunSummary } = require('./runSummary');
+const { RunHistory, scenarioId } = require('./runHistory');
+const { ActionLogger } = require('./actionLogger');
+const { redactFormat } = require('./redaction');
+const { resolveRunConfig } = require('./world');
+const { loadEnvironmentProfile, describeProfile } = require('./environment');
 const path = require('path');
 const fs = require('fs');
+const { Writable } = require('stream');
 const winston = require('winston');
 
-// Global test data and state
+// Test data and state for this worker; AfterAll writes it as the worker's shard
 let globalTestData = {
   startTime: null,
   totalScenarios: 0,
@@ -12,7 +21,11 @@ let globalTestData = {
   failedScenarios: 0,
   performanceMetrics: [],
   screenshots: [],
-  videos: []
+  videos: [],
+  healedLocators: [],
+  retries: [],
+  runConfig: null,
+  profile: null
 };
 
 // Setup global logger
@@ -27,6 +40,7 @@ const setupGlobalLogger = () => {
     format: winston.format.combine(
       winston.format.timestamp(),
       winston.format.errors({ stack: true }),
+      redactFormat(),
       winston.format.json()
     ),
     defaultMeta: { service: 'test-execution' },
@@ -46,13 +60,80 @@ const setupGlobalLogger = () => {
 
 const globalLogger = setupGlobalLogger();
 
+// Allure result files for `npm run report:allure`, one result per scenario attempt
+const allureWriter = new AllureWriter(process.env.ALLURE_RESULTS_PATH || './reports/allure-results');
+
+// One browser per worker process; each scenario gets its own context and page
+let sharedBrowser = null;
+
+// Buffers winston lines logged during one scenario; scenarios run one at a time per worker
+const createScenarioLogCapture = () => {
+  const lines = [];
+  const transport = new winston.transports.Stream({
+    stream: new Writable({
+      write(chunk, _encoding, callback) {
+        lines.push(chunk.toString().trimEnd());
+        callback();
+      }
+    }),
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.printf(({ timestamp, level, message, service, ...meta }) => {
+        const details = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+        return `${timestamp} [${service}] ${level}: ${message}${details}`;
+      })
+    )
+  });
+  return { lines, transport };
+};
+
+// Attempts per pickle in this worker; cucumber runs a scenario's retries in the same worker
+const scenarioAttempts = new Map();
+
+// Ids from reports/history/quarantine.json, loaded on first use when the run excludes them
+let quarantinedScenarios = null;
+
+// Same "uri:line" id the run history uses; outline examples resolve to their Examples row
+const getScenarioId = ({ pickle, gherkinDocument }) => {
+  const locations = formatterHelpers.GherkinDocumentParser.getGherkinScenarioLocationMap(gherkinDocument);
+  return scenarioId(pickle.uri, locations[pickle.astNodeIds[pickle.astNodeIds.length - 1]].line);
+};
+
+const isQuarantined = (scenario) => {
+  if (!quarantinedScenarios) {
+    quarantinedScenarios = new Set(new RunHistory().getQuarantine().map(entry => entry.id));
+  }
+  return quarantinedScenarios.has(getScenarioId(scenario));
+};
+
+// API-only scenarios run without a browser, page or video; @ui opts an @api scenario back in
+const isBrowserlessScenario = (tags) =>
+  tags.includes('@no-browser') || (tags.includes('@api') && !tags.includes('@ui'));
+
+// Launched lazily so a run made only of API scenarios never starts a browser
+const getSharedBrowser = async (runConfig, profile) => {
+  if (!sharedBrowser || !sharedBrowser.isConnected()) {
+    const launcher = new Base(runConfig, profile);
+    sharedBrowser = await launcher.launchBrowser(runConfig);
+  }
+  return sharedBrowser;
+};
+
 BeforeAll(async function () {
   globalTestData.startTime = new Date();
+  globalTestData.runConfig = resolveRunConfig(this.parameters);
+  globalTestData.profile = loadEnvironmentProfile(globalTestData.runConfig.environment, {
+    baseURL: globalTestData.runConfig.baseUrl,
+    apiBaseURL: globalTestData.runConfig.apiBaseUrl
+  });
   globalLogger.info('🚀 Test execution started', {
     timestamp: globalTestData.startTime,
-    environment: process.env.NODE_ENV,
-    browser: process.env.BROWSER,
-    baseUrl: process.env.BASE_URL
+    environment: globalTestData.profile.name,
+    browser: globalTestData.runConfig.browser,
+    headless: globalTestData.runConfig.headless,
+    device: globalTestData.runConfig.device,
+    baseUrl: globalTestData.profile.baseURL,
+    apiBaseUrl: globalTestData.profile.apiBaseURL
   });
 
   // Create necessary directories
@@ -73,6 +154,8 @@ BeforeAll(async function () {
     }
   });
 
+  writeAllureRunInfo();
+
   // Validate environment configuration
   const requiredEnvVars = ['BASE_URL', 'BROWSER', 'TIMEOUT'];
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -100,29 +183,60 @@ BeforeAll(async function () {
 });
 
 Before(async function (scenario) {
+  // run.js --quarantine=exclude: flaky scenarios are reported as skipped and run separately
+  if (this.config.quarantine === 'exclude' && isQuarantined(scenario)) {
+    this.quarantined = true;
+    globalLogger.info(`⏭️ Skipping quarantined scenario: ${scenario.pickle.name}`);
+    return 'skipped';
+  }
+
   globalTestData.totalScenarios++;
   
   // Initialize test context
   this.scenarioName = scenario.pickle.name;
   this.scenarioTags = scenario.pickle.tags.map(tag => tag.name);
   this.testStartTime = Date.now();
+  this.attempt = (scenarioAttempts.get(scenario.pickle.id) || 0) + 1;
+  scenarioAttempts.set(scenario.pickle.id, this.attempt);
+  this.allure = allureWriter.startTest(scenario);
+  this.scenarioLog = createScenarioLogCapture();
+  globalLogger.add(this.scenarioLog.transport);
   
   globalLogger.info(`📋 Starting scenario: ${this.scenarioName}`, {
     tags: this.scenarioTags,
     timestamp: new Date().toISOString()
   });
 
-  // Initialize base class with enhanced options
-  const browserOptions = {
-    headless: process.env.HEADLESS !== 'false',
-    device: this.scenarioTags.includes('@mobile') ? 'iPhone 12' : 
-           this.scenarioTags.includes('@tablet') ? 'iPad Pro' : undefined
-  };
+  // Initialize base class with the browser config resolved by the World
+  const browserOptions = this.getBrowserOptions(this.scenarioTags);
+
+  this.base = new Base(this.config, this.profile);
+  this.base.logger.add(this.scenarioLog.transport);
+  // Recorded per scenario (TRACE_ON_FAILURE=true), named like its trace and video
+  this.base.harPath = path.join(process.env.TRACE_PATH || './reports/traces', `${artifactName.call(this)}.har`);
+  this.browserless = isBrowserlessScenario(this.scenarioTags);
+
+  // Shared by WebElements and the page objects; one JSON line per action
+  this.actionLogger = new ActionLogger({
+    logger: this.base.logger,
+    scenario: this.scenarioName,
+    scenarioId: getScenarioId(scenario),
+    attempt: this.attempt,
+    filePath: path.join(process.env.REPORT_PATH || './reports', 'actions', `${artifactName.call(this)}.jsonl`)
+  });
+  this.base.actionLogger = this.actionLogger;
 
-  this.base = new Base();
-  await this.base.initializeBrowser(browserOptions);
+  if (this.browserless) {
+    globalLogger.info(`Running ${this.scenarioName} without a browser`);
+  } else if (this.scenarioTags.includes('@isolated-browser')) {
+    // Full relaunch for scenarios that must not share browser state
+    await this.base.initializeBrowser(browserOptions);
+  } else {
+    this.base.useBrowser(await getSharedBrowser(this.config, this.profile));
+    await this.base.createContext(browserOptions);
+  }
   
-  // Set up page and webElements
+  // Set up page and webElements (undefined for browserless scenarios)
   this.page = this.base.page;
   this.webElements = this.base.webElements;
   
@@ -138,6 +252,17 @@ Before(async function (scenario) {
     screenshotTimes: []
   };
 
+  // Everything below needs a page
+  if (this.browserless) {
+    return;
+  }
+
+  // on-first-retry only traces the second attempt; the other modes trace every attempt
+  const { traceMode } = this.config;
+  if (traceMode === 'on' || traceMode === 'retain-on-failure' || (traceMode === 'on-first-retry' && this.attempt === 2)) {
+    await this.base.startTracing(this.scenarioName);
+  }
+
   // Handle different test types
   if (this.scenarioTags.includes('@performance')) {
     await setupPerformanceMonitoring.call(this);
@@ -151,6 +276,12 @@ Before(async function (scenario) {
     await setupVisualTesting.call(this);
   }
 
+  // Step timeline: @step-screenshots captures every step, otherwise STEP_SCREENSHOTS decides
+  const stepScreenshots = this.scenarioTags.includes('@step-screenshots') ? 'all' : this.config.stepScreenshots;
+  if (stepScreenshots !== 'off') {
+    this.stepTimeline = { mode: stepScreenshots, steps: [] };
+  }
+
   // Set up custom timeouts for different test types
   if (this.scenarioTags.includes('@slow')) {
     await this.page.setDefaultTimeout(60000); // 60 seconds for slow tests
@@ -161,11 +292,24 @@ Before(async function (scenario) {
   // Set up error handling
   this.page.on('pageerror', error => {
     globalLogger.error(`Page error in ${this.scenarioName}:`, error);
+    this.allure.log('error', `Page error: ${error.message}`);
   });
 
+  // Browser console output and failed requests, attached to the report when the scenario fails
+  this.consoleMessages = [];
+  this.failedRequests = [];
+
   this.page.on('console', msg => {
+    const location = msg.location();
+    this.consoleMessages.push({
+      type: msg.type(),
+      text: msg.text(),
+      location: location.url ? `${location.url}:${location.lineNumber}` : undefined,
+      timestamp: new Date().toISOString()
+    });
     if (msg.type() === 'error') {
       globalLogger.error(`Console error in ${this.scenarioName}:`, msg.text());
+      this.allure.log('error', `Console error: ${msg.text()}`);
     }
   });
 
@@ -179,11 +323,48 @@ Before(async function (scenario) {
   this.page.on('response', response => {
     if (response.status() >= 400) {
       globalLogger.warn(`HTTP ${response.status()} for ${response.url()}`);
+      this.allure.log('warn', `HTTP ${response.status()} for ${response.url()}`);
+      this.failedRequests.push({
+        method: response.request().method(),
+        url: response.url(),
+        status: response.status(),
+        statusText: response.statusText(),
+        timestamp: new Date().toISOString()
+      });
     }
   });
+
+  this.page.on('requestfailed', request => {
+    this.failedRequests.push({
+      method: request.method(),
+      url: request.url(),
+      error: request.failure() ? request.failure().errorText : 'unknown',
+      resourceType: request.resourceType(),
+      timestamp: new Date().toISOString()
+    });
+  });
+});
+
+BeforeStep(function ({ pickleStep }) {
+  if (this.allure) {
+    this.allure.startStep(pickleStep);
+  }
+});
+
+AfterStep(async function ({ pickleStep, result }) {
+  if (this.allure) {
+    this.allure.finishStep(result);
+  }
+  if (this.stepTimeline) {
+    await recordTimelineStep.call(this, pickleStep, result);
+  }
 });
 
 After(async function (scenario) {
+  if (this.quarantined) {
+    return;
+  }
+
   const testEndTime = Date.now();
   const testDuration = testEndTime - this.testStartTime;
   
@@ -194,6 +375,17 @@ After(async function (scenario) {
     globalTestData.failedScenarios++;
   }
 
+  // The JSON report keeps only the last attempt; failed attempts that get retried are the
+  // run history's in-run flakiness signal
+  if (scenario.willBeRetried) {
+    globalTestData.retries.push({
+      id: getScenarioId(scenario),
+      name: this.scenarioName,
+      attempt: this.attempt,
+      error: (scenario.result.message || scenario.result.status).split('\n')[0]
+    });
+  }
+
   // Capture performance metrics
   if (this.performanceMetrics) {
     globalTestData.performanceMetrics.push({
@@ -203,15 +395,20 @@ After(async function (scenario) {
     });
   }
 
+  // Save or discard the trace while the context is still open
+  if (this.base && this.base.tracing) {
+    await saveTrace.call(this, scenario);
+  }
+
   // Handle test failure
   if (scenario.result.status === 'FAILED') {
     await handleTestFailure.call(this, scenario);
   }
 
   // Capture final screenshot for all scenarios
-  if (process.env.SCREENSHOT_ON_FAILURE === 'true' || 
-      this.scenarioTags.includes('@screenshot')) {
-    await captureFinalScreenshot.call(this, scenario);
+  if (this.page && (process.env.SCREENSHOT_ON_FAILURE === 'true' ||
+      this.scenarioTags.includes('@screenshot'))) {
+    await captureFinalScreenshot.call(this);
   }
 
   // Generate performance report for performance tests
@@ -220,18 +417,41 @@ After(async function (scenario) {
   }
 
   // Generate accessibility report
-  if (this.scenarioTags.includes('@accessibility')) {
+  if (this.page && this.scenarioTags.includes('@accessibility')) {
     await generateAccessibilityReport.call(this);
   }
 
+  // Report requests that no network stub handled
+  if (this.base && this.base.networkMocker) {
+    await reportNetworkMocks.call(this);
+  }
+
+  // Locator candidates that only matched through a fallback, for reports/healed-locators.json
+  if (this.webElements && this.webElements.healedLocators.length > 0) {
+    recordHealedLocators.call(this);
+  }
+
   // Clean up test data
   await cleanupTestData.call(this);
 
   // Close browser
-  if (this.base) {
+  if (this.base && this.page) {
     await this.base.closeBrowser();
   }
 
+  // The video file is only complete once the context has closed
+  if (this.page && this.page.video()) {
+    await saveVideo.call(this, scenario);
+  }
+
+  if (this.stepTimeline) {
+    writeStepTimeline.call(this, scenario);
+  }
+
+  // Last, so the video and HAR written on context close can be attached
+  writeAllureResult.call(this, scenario);
+  globalLogger.remove(this.scenarioLog.transport);
+
   globalLogger.info(`✅ Completed scenario: ${this.scenarioName}`, {
     status: scenario.result.status,
     duration: `${testDuration}ms`,
@@ -242,20 +462,21 @@ After(async function (scenario) {
 AfterAll(async function () {
   const endTime = new Date();
   const totalDuration = endTime - globalTestData.startTime;
-  
-  // Generate comprehensive test report
-  await generateComprehensiveReport();
-  
-  // Generate performance summary
-  await generatePerformanceSummary();
-  
-  // Send notifications if configured
-  await sendTestNotifications();
-  
-  // Clean up temporary files
-  await cleanupTemporaryFiles();
+
+  if (sharedBrowser) {
+    await sharedBrowser.close();
+    sharedBrowser = null;
+  }
+
+  // With --parallel every worker runs this hook. runner/run.js merges the shards after the
+  // run; without it the last worker to finish merges them
+  const merged = writeWorkerShard(endTime);
+  if (merged) {
+    await publishRunSummary(merged);
+  }
   
   globalLogger.info('🏁 Test execution completed', {
+    worker: process.env.CUCUMBER_WORKER_ID || 'serial',
     totalScenarios: globalTestData.totalScenarios,
     passedScenarios: globalTestData.passedScenarios,
     failedScenarios: globalTestData.failedScenarios,
@@ -268,21 +489,22 @@ AfterAll(async function () {
 // Helper methods
 async function handleTestFailure(scenario) {
   try {
+    let screenshotPath = null;
+
     // Capture failure screenshot
-    const screenshotPath = await this.base.takeScreenshot(
-      `failure_${this.scenarioName.replace(/\s+/g, '_')}`
-    );
+    if (this.page) {
+      screenshotPath = await this.base.takeScreenshot(
+        `failure_${this.scenarioName.replace(/\s+/g, '_')}`
+      );
+    }
     
     if (screenshotPath) {
       globalTestData.screenshots.push(screenshotPath);
+      await attachArtifact.call(this, fs.readFileSync(screenshotPath), 'image/png', path.basename(screenshotPath));
     }
 
-    // Capture video if enabled
-    if (process.env.VIDEO_ON_FAILURE === 'true') {
-      const videoPath = await this.base.context.close();
-      if (videoPath) {
-        globalTestData.videos.push(videoPath);
-      }
+    if (this.page) {
+      await attachPageArtifacts.call(this);
     }
 
     // Log detailed error information
@@ -292,13 +514,44 @@ async function handleTestFailure(scenario) {
       screenshot: screenshotPath,
       duration: Date.now() - this.testStartTime
     });
+    this.allure.log('error', `Test failed: ${scenario.result.message}`);
+
+    await attachArtifact.call(this, this.scenarioLog.lines.join('\n'), 'text/plain', 'scenario.log');
+    if (this.actionLogger.entries.length > 0) {
+      await attachArtifact.call(this, this.actionLogger.toJsonLines(), 'text/plain', 'actions.jsonl');
+    }
 
   } catch (error) {
     globalLogger.error('Failed to handle test failure:', error);
   }
 }
 
-async function captureFinalScreenshot(scenario) {
+// Attach to both the Cucumber report (HTML and JSON formatters) and the Allure result
+async function attachArtifact(data, mediaType, fileName) {
+  await this.attach(data, { mediaType, fileName });
+  this.allure.attachContent(data, fileName, mediaType);
+}
+
+async function attachPageArtifacts() {
+  try {
+    await attachArtifact.call(this, await this.page.content(), 'text/html', 'page.html');
+
+    if (this.consoleMessages.length > 0) {
+      const consoleLog = this.consoleMessages
+        .map(entry => `${entry.timestamp} [${entry.type}] ${entry.text}${entry.location ? ` (${entry.location})` : ''}`)
+        .join('\n');
+      await attachArtifact.call(this, consoleLog, 'text/plain', 'browser-console.log');
+    }
+
+    if (this.failedRequests.length > 0) {
+      await attachArtifact.call(this, JSON.stringify(this.failedRequests, null, 2), 'application/json', 'failed-requests.json');
+    }
+  } catch (error) {
+    globalLogger.error('Failed to capture page artefacts:', error);
+  }
+}
+
+async function captureFinalScreenshot() {
   try {
     const screenshotPath = await this.base.takeScreenshot(
       `final_${this.scenarioName.replace(/\s+/g, '_')}`
@@ -306,6 +559,7 @@ async function captureFinalScreenshot(scenario) {
     
     if (screenshotPath) {
       globalTestData.screenshots.push(screenshotPath);
+      this.allure.attachFile(screenshotPath, 'Final screenshot');
     }
   } catch (error) {
     globalLogger.error('Failed to capture final screenshot:', error);
@@ -395,157 +649,236 @@ async function generateAccessibilityReport() {
   }
 }
 
-async function cleanupTestData() {
+// File-safe name for this scenario attempt's trace, video and timeline
+function artifactName() {
+  const attemptSuffix = this.attempt > 1 ? `_attempt-${this.attempt}` : '';
+  return `${this.scenarioName.replace(/[^\w-]+/g, '_')}${attemptSuffix}`;
+}
+
+async function recordTimelineStep(pickleStep, result) {
   try {
-    // Clear any test data created during the scenario
-    if (this.apiClient) {
-      // Clean up any test data created via API
+    const status = result.status.toLowerCase();
+    const entry = {
+      index: this.stepTimeline.steps.length + 1,
+      text: pickleStep.text,
+      status,
+      duration: (result.duration.seconds * 1000) + Math.round(result.duration.nanos / 1000000),
+      url: this.page.url(),
+      timestamp: new Date().toISOString(),
+      screenshot: null
+    };
+
+    if (this.stepTimeline.mode === 'all' || result.status === 'FAILED') {
+      const screenshotPath = path.join(
+        process.env.SCREENSHOT_PATH || './reports/screenshots',
+        'steps',
+        artifactName.call(this),
+        `${String(entry.index).padStart(2, '0')}_${status}.png`
+      );
+      await this.page.screenshot({ path: screenshotPath });
+      // Relative to the reports directory, where the HTML report that renders the filmstrip lives
+      entry.screenshot = path.relative(process.env.REPORT_PATH || './reports', screenshotPath).split(path.sep).join('/');
     }
-    
-    // Clear browser storage
-    await this.page.evaluate(() => {
-      localStorage.clear();
-      sessionStorage.clear();
-    });
+
+    this.stepTimeline.steps.push(entry);
   } catch (error) {
-    globalLogger.error('Failed to cleanup test data:', error);
+    globalLogger.error('Failed to record step timeline:', error);
   }
 }
 
-async function generateComprehensiveReport() {
+function writeStepTimeline(scenario) {
   try {
-    const report = {
-      summary: {
-        totalScenarios: globalTestData.totalScenarios,
-        passedScenarios: globalTestData.passedScenarios,
-        failedScenarios: globalTestData.failedScenarios,
-        successRate: ((globalTestData.passedScenarios / globalTestData.totalScenarios) * 100).toFixed(2),
-        totalDuration: Date.now() - globalTestData.startTime.getTime(),
-        startTime: globalTestData.startTime.toISOString(),
-        endTime: new Date().toISOString()
-      },
-      performance: globalTestData.performanceMetrics,
-      screenshots: globalTestData.screenshots,
-      videos: globalTestData.videos,
-      environment: {
-        nodeEnv: process.env.NODE_ENV,
-        browser: process.env.BROWSER,
-        baseUrl: process.env.BASE_URL,
-        platform: process.platform,
-        nodeVersion: process.version
-      }
-    };
+    const timelineDir = path.join(process.env.REPORT_PATH || './reports', 'timelines');
+    fs.mkdirSync(timelineDir, { recursive: true });
 
-    const reportPath = path.join(
-      process.env.REPORT_PATH || './reports',
-      'comprehensive-report.json'
-    );
-    
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-    globalLogger.info(`Comprehensive report generated: ${reportPath}`);
+    const timelinePath = path.join(timelineDir, `${artifactName.call(this)}.json`);
+    fs.writeFileSync(timelinePath, JSON.stringify({
+      feature: scenario.gherkinDocument.feature.name,
+      scenario: this.scenarioName,
+      attempt: this.attempt,
+      status: scenario.result.status.toLowerCase(),
+      mode: this.stepTimeline.mode,
+      steps: this.stepTimeline.steps
+    }, null, 2));
+    globalLogger.debug(`Step timeline written: ${timelinePath}`);
   } catch (error) {
-    globalLogger.error('Failed to generate comprehensive report:', error);
+    globalLogger.error('Failed to write step timeline:', error);
   }
 }
 
-async function generatePerformanceSummary() {
+async function saveTrace(scenario) {
   try {
-    if (globalTestData.performanceMetrics.length === 0) return;
-
-    const summary = {
-      totalTests: globalTestData.performanceMetrics.length,
-      averageDuration: globalTestData.performanceMetrics.reduce((sum, test) => 
-        sum + test.duration, 0) / globalTestData.performanceMetrics.length,
-      slowestTest: Math.max(...globalTestData.performanceMetrics.map(test => test.duration)),
-      fastestTest: Math.min(...globalTestData.performanceMetrics.map(test => test.duration))
-    };
+    const failed = scenario.result.status === 'FAILED';
+    if (this.config.traceMode === 'retain-on-failure' && !failed) {
+      await this.base.stopTracing();
+      return;
+    }
 
-    const summaryPath = path.join(
-      process.env.PERFORMANCE_RESULTS_PATH || './reports/performance',
-      'performance-summary.json'
-    );
-    
-    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
-    globalLogger.info(`Performance summary generated: ${summaryPath}`);
+    const tracePath = path.join(process.env.TRACE_PATH || './reports/traces', `${artifactName.call(this)}.zip`);
+    this.tracePath = await this.base.stopTracing(tracePath);
+    if (!this.tracePath) {
+      return;
+    }
+
+    // Relative to the reports directory so the link works wherever the reports are published
+    const reportDir = process.env.REPORT_PATH || './reports';
+    await this.attach(`Playwright trace: ${this.tracePath}\nOpen it with: npx playwright show-trace ${this.tracePath}`, 'text/plain');
+    await this.link(path.relative(reportDir, this.tracePath).split(path.sep).join('/'));
+    globalLogger.info(`Trace for ${this.scenarioName}: ${this.tracePath}`);
   } catch (error) {
-    globalLogger.error('Failed to generate performance summary:', error);
+    globalLogger.error('Failed to save trace:', error);
   }
 }
 
-async function sendTestNotifications() {
+async function saveVideo(scenario) {
   try {
-    const successRate = (globalTestData.passedScenarios / globalTestData.totalScenarios) * 100;
-    
-    // Send Slack notification if configured
-    if (process.env.SLACK_WEBHOOK_URL) {
-      const slackNotify = require('slack-notify');
-      const slack = slackNotify(process.env.SLACK_WEBHOOK_URL);
-      
-      const message = {
-        text: `Test Execution Complete`,
-        attachments: [{
-          color: successRate >= 90 ? 'good' : successRate >= 70 ? 'warning' : 'danger',
-          fields: [
-            { title: 'Total Scenarios', value: globalTestData.totalScenarios, short: true },
-            { title: 'Passed', value: globalTestData.passedScenarios, short: true },
-            { title: 'Failed', value: globalTestData.failedScenarios, short: true },
-            { title: 'Success Rate', value: `${successRate.toFixed(2)}%`, short: true }
-          ]
-        }]
-      };
-      
-      slack.send(message);
+    const video = this.page.video();
+    if (this.config.videoMode === 'retain-on-failure' && scenario.result.status !== 'FAILED') {
+      await video.delete();
+      return;
     }
 
-    // Send email notification if configured
-    if (process.env.EMAIL_HOST && process.env.EMAIL_USER) {
-      const nodemailer = require('nodemailer');
-      
-      const transporter = nodemailer.createTransporter({
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT,
-        secure: false,
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD
-        }
+    // Playwright names videos with a random id; rename so each scenario attempt is identifiable
+    const recordedPath = await video.path();
+    const videoPath = path.join(path.dirname(recordedPath), `${artifactName.call(this)}${path.extname(recordedPath)}`);
+    fs.renameSync(recordedPath, videoPath);
+
+    this.videoPath = videoPath;
+    globalTestData.videos.push(videoPath);
+    await this.attach(fs.readFileSync(videoPath), 'video/webm');
+    globalLogger.info(`Video for ${this.scenarioName}: ${videoPath}`);
+  } catch (error) {
+    globalLogger.error('Failed to save video:', error);
+  }
+}
+
+async function reportNetworkMocks() {
+  try {
+    const report = this.base.networkMocker.getReport();
+    if (report.unmatchedRequests.length > 0 || report.unusedRoutes.length > 0) {
+      globalLogger.warn(`Network mocks in ${this.scenarioName}: ${report.unmatchedRequests.length} unmatched requests, ` +
+        `${report.unusedRoutes.length} unused routes`, {
+        unmatched: report.unmatchedRequests.map(request => `${request.method} ${request.url}`),
+        unusedRoutes: report.unusedRoutes
       });
+    }
+    await this.attach(JSON.stringify(report, null, 2), 'application/json');
+    this.allure.attachContent(JSON.stringify(report, null, 2), 'Network mocks', 'application/json');
+  } catch (error) {
+    globalLogger.error('Failed to report network mocks:', error);
+  }
+}
 
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: process.env.EMAIL_TO,
-        subject: `Test Execution Report - ${successRate.toFixed(2)}% Success Rate`,
-        html: `
-          <h2>Test Execution Summary</h2>
-          <p><strong>Total Scenarios:</strong> ${globalTestData.totalScenarios}</p>
-          <p><strong>Passed:</strong> ${globalTestData.passedScenarios}</p>
-          <p><strong>Failed:</strong> ${globalTestData.failedScenarios}</p>
-          <p><strong>Success Rate:</strong> ${successRate.toFixed(2)}%</p>
-        `
-      };
-
-      await transporter.sendMail(mailOptions);
+function writeAllureResult(scenario) {
+  try {
+    if (!this.allure) {
+      return;
+    }
+    if (scenario.result.status === 'FAILED' && this.page && process.env.TRACE_ON_FAILURE === 'true') {
+      this.allure.attachFile(this.base.harPath, 'Network trace (HAR)');
+    }
+    if (this.videoPath) {
+      this.allure.attachFile(this.videoPath, 'Video');
     }
+    if (this.tracePath) {
+      this.allure.attachFile(this.tracePath, 'Playwright trace');
+    }
+    this.allure.finish(scenario.result);
+  } catch (error) {
+    globalLogger.error('Failed to write Allure result:', error);
+  }
+}
+
+function writeAllureRunInfo() {
+  try {
+    allureWriter.writeEnvironment({
+      Environment: globalTestData.profile.name,
+      BaseURL: globalTestData.profile.baseURL,
+      APIBaseURL: globalTestData.profile.apiBaseURL,
+      Browser: globalTestData.runConfig.browser,
+      Headless: globalTestData.runConfig.headless,
+      Device: globalTestData.runConfig.device,
+      Platform: process.platform,
+      Node: process.version
+    });
+    allureWriter.writeExecutor();
   } catch (error) {
-    globalLogger.error('Failed to send notifications:', error);
+    globalLogger.error('Failed to write Allure environment:', error);
   }
 }
 
-async function cleanupTemporaryFiles() {
+async function cleanupTestData() {
   try {
-    const tempDirs = [
-      path.join(__dirname, '../temp'),
-      path.join(__dirname, '../.tmp')
-    ];
-
-    tempDirs.forEach(dir => {
-      if (fs.existsSync(dir)) {
-        fs.rmSync(dir, { recursive: true, force: true });
+    // Clear any test data created during the scenario
+    if (this.apiClient && this.api.createdResources.length > 0) {
+      const results = await Promise.allSettled(
+        this.api.createdResources.map(resource => this.apiClient.delete(resource.path))
+      );
+      const failed = results.filter(result => result.status === 'rejected').length;
+      globalLogger.debug(`Cleaned up ${results.length - failed}/${results.length} API resources`);
+    }
+
+    if (this.webhookReceiver) {
+      await this.webhookReceiver.close();
+    }
+
+    // Clear browser storage
+    if (this.page) {
+      await this.page.evaluate(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+      });
+    }
+  } catch (error) {
+    globalLogger.error('Failed to cleanup test data:', error);
+  }
+}
+
+function writeWorkerShard(endTime) {
+  try {
+    const shards = new ReportShards(process.env.REPORT_PATH || './reports');
+    shards.writeShard({
+      startTime: globalTestData.startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      totalScenarios: globalTestData.totalScenarios,
+      passedScenarios: globalTestData.passedScenarios,
+      failedScenarios: globalTestData.failedScenarios,
+      performanceMetrics: globalTestData.performanceMetrics,
+      screenshots: globalTestData.screenshots,
+      videos: globalTestData.videos,
+      healedLocators: globalTestData.healedLocators,
+      retries: globalTestData.retries,
+      environment: {
+        nodeEnv: process.env.NODE_ENV,
+        testEnvironment: globalTestData.runConfig?.environment,
+        browser: globalTestData.runConfig?.browser || process.env.BROWSER,
+        headless: globalTestData.runConfig?.headless,
+        device: globalTestData.runConfig?.device,
+        baseUrl: globalTestData.profile?.baseURL || process.env.BASE_URL,
+        profile: globalTestData.profile && describeProfile(globalTestData.profile),
+        platform: process.platform,
+        nodeVersion: process.version
       }
     });
 
-    globalLogger.info('Temporary files cleaned up');
+    if (process.env.REPORT_RUN_ID) {
+      return null;
+    }
+    const merged = shards.mergeIfComplete();
+    if (merged) {
+      globalLogger.info(`Merged ${merged.workers.length} worker shard(s) from ${shards.runDir}`);
+    }
+    return merged;
   } catch (error) {
-    globalLogger.error('Failed to cleanup temporary files:', error);
+    globalLogger.error('Failed to write worker shard:', error);
+    return null;
   }
-} 
\ No newline at end of file
+}
+
+function recordHealedLocators() {
+  const healed = this.webElements.healedLocators.map(entry => ({ ...entry, scenario: this.scenarioName }));
+  globalTestData.healedLocators.push(...healed);
+  healed.forEach(entry => {
+    globalLogger.warn(`🩹 ${entry.selector} healed with ${entry.healedWith} (primary ${entry.primary})`);
+  });
+}
@@ -0,0 +1,88 @@
+const jp = require('jsonpath');
+const zlib = require('zlib');
+
+/**
+ * Parse a value written in a feature file: JSON literals (numbers, booleans, null,
+ * arrays, objects) are parsed, anything else is kept as a string.
+ */
+const parseValue = (text) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Turn a two-column data table (field | value) into a request body.
+ * Dotted field names build nested objects: "address.city" -> { address: { city } }.
+ */
+const tableToObject = (dataTable, transform = value => value) => {
+  const body = {};
+  Object.entries(dataTable.rowsHash()).forEach(([field, value]) => {
+    const keys = field.split('.');
+    let target = body;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = parseValue(transform(value));
+  });
+  return body;
+};
+
+const queryJson = (body, expression) => jp.query(body, expression);
+
+/**
+ * Single value at a JSONPath expression; throws when nothing matches.
+ */
+const valueAt = (body, expression) => {
+  const matches = queryJson(body, expression);
+  if (matches.length === 0) {
+    throw new Error(`No value found at "${expression}" in response body: ${JSON.stringify(body).substring(0, 500)}`);
+  }
+  return matches[0];
+};
+
+// Response headers are lower-cased by Node; look them up case-insensitively
+const getHeader = (headers, name) => headers[name.toLowerCase()];
+
+/**
+ * Request options that keep the raw (possibly gzip-encoded) response bytes, so the
+ * encoding and size can be checked. Pair with decodeCompressedResponse().
+ */
+const compressedRequestOptions = () => ({
+  decompress: false,
+  responseType: 'arraybuffer',
+  headers: { 'Accept-Encoding': 'gzip' }
+});
+
+/**
+ * Decode a response fetched with compressedRequestOptions(): replaces the body with the
+ * parsed JSON and returns { encoding, compressedSize, uncompressedSize }.
+ */
+const decodeCompressedResponse = (response) => {
+  const raw = Buffer.from(response.body);
+  const encoding = getHeader(response.headers, 'content-encoding');
+  const decoded = encoding === 'gzip' ? zlib.gunzipSync(raw) : raw;
+
+  response.body = JSON.parse(decoded.toString('utf8'));
+  return {
+    encoding,
+    compressedSize: raw.length,
+    uncompressedSize: decoded.length
+  };
+};
+
+module.exports = {
+  parseValue,
+  tableToObject,
+  queryJson,
+  valueAt,
+  getHeader,
+  compressedRequestOptions,
+  decodeCompressedResponse
+};
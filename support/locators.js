@@ -0,0 +1,127 @@
+/**
+ * Locator descriptors and candidate lists for WebElements and selectors/*.js.
+ *
+ * A descriptor is a CSS string or an object mapping to Playwright's locator family:
+ *   { css }                       page.locator(css)
+ *   { role, name, exact }         page.getByRole(role, { name, exact })
+ *   { label }, { placeholder }, { text }, { altText }, { title }, { testId }
+ * and optionally scoped and narrowed:
+ *   within: <descriptor>          resolved first; the rest is looked up inside it
+ *   filter: { hasText, hasNotText, has: <descriptor>, hasNot: <descriptor> }
+ *   nth: <index>                  0-based, -1 for the last match
+ *
+ * A selector is a descriptor or an ordered list of candidate descriptors. WebElements uses
+ * the first candidate that matches; when that is not the first one the locator has
+ * "healed" and the fallback is recorded for the healed locators report.
+ */
+const TEXT_LOCATORS = {
+  label: 'getByLabel',
+  placeholder: 'getByPlaceholder',
+  text: 'getByText',
+  altText: 'getByAltText',
+  title: 'getByTitle'
+};
+
+const baseLocator = (root, descriptor) => {
+  if (descriptor.css) {
+    return root.locator(descriptor.css);
+  }
+  if (descriptor.role) {
+    const options = { ...(descriptor.options || {}) };
+    if (descriptor.name !== undefined) {
+      Object.assign(options, { name: descriptor.name, exact: descriptor.exact });
+    }
+    return root.getByRole(descriptor.role, options);
+  }
+  const textKey = Object.keys(TEXT_LOCATORS).find(key => descriptor[key] !== undefined);
+  if (textKey) {
+    return root[TEXT_LOCATORS[textKey]](descriptor[textKey], { exact: descriptor.exact });
+  }
+  if (descriptor.testId) {
+    return root.getByTestId(descriptor.testId);
+  }
+  throw new Error(`Unsupported locator descriptor: ${JSON.stringify(descriptor)}`);
+};
+
+const toLocator = (root, descriptor) => {
+  if (typeof descriptor === 'string') {
+    return root.locator(descriptor);
+  }
+  if (Array.isArray(descriptor)) {
+    throw new Error('Candidate lists are resolved by WebElements.resolve(), not toLocator()');
+  }
+
+  const scope = descriptor.within ? toLocator(root, descriptor.within) : root;
+  let locator = baseLocator(scope, descriptor);
+  if (descriptor.filter) {
+    const { has, hasNot, ...filter } = descriptor.filter;
+    // has/hasNot locators are matched relative to each element, so they start from the page
+    const page = typeof root.page === 'function' ? root.page() : root;
+    locator = locator.filter({
+      ...filter,
+      ...(has && { has: toLocator(page, has) }),
+      ...(hasNot && { hasNot: toLocator(page, hasNot) })
+    });
+  }
+  if (descriptor.nth !== undefined) {
+    locator = locator.nth(descriptor.nth);
+  }
+  return locator;
+};
+
+// Readable form for logs and reports, in Playwright's selector-engine style
+const describeLocator = (descriptor) => {
+  if (typeof descriptor === 'string') {
+    return descriptor;
+  }
+  if (Array.isArray(descriptor)) {
+    return descriptor.map(describeLocator).join(' | ');
+  }
+
+  const parts = [];
+  if (descriptor.within) {
+    parts.push(describeLocator(descriptor.within));
+  }
+  const textKey = Object.keys(TEXT_LOCATORS).find(key => descriptor[key] !== undefined);
+  if (descriptor.css) {
+    parts.push(descriptor.css);
+  } else if (descriptor.role) {
+    parts.push(descriptor.name === undefined ? `role=${descriptor.role}` : `role=${descriptor.role}[name="${descriptor.name}"]`);
+  } else if (textKey) {
+    parts.push(`${textKey}=${descriptor[textKey]}`);
+  } else if (descriptor.testId) {
+    parts.push(`testId=${descriptor.testId}`);
+  }
+  if (descriptor.filter) {
+    const { has, hasNot, ...filter } = descriptor.filter;
+    const conditions = [
+      ...Object.entries(filter).map(([key, value]) => `${key}="${value}"`),
+      ...(has ? [`has=${describeLocator(has)}`] : []),
+      ...(hasNot ? [`hasNot=${describeLocator(hasNot)}`] : [])
+    ];
+    parts[parts.length - 1] += `[${conditions.join(', ')}]`;
+  }
+  if (descriptor.nth !== undefined) {
+    parts.push(`nth=${descriptor.nth}`);
+  }
+  return parts.join(' >> ') || JSON.stringify(descriptor);
+};
+
+const describeSelector = (selector) => (Array.isArray(selector)
+  ? selector.selectorName || describeLocator(selector[0])
+  : describeLocator(selector));
+
+/**
+ * Name every candidate list of a selectors class ("LoginSelectors.EMAIL_INPUT") so logs and
+ * the healed locators report point at the constant to update.
+ */
+const nameSelectors = (selectorClass) => {
+  Object.entries(selectorClass)
+    .filter(([, selector]) => Array.isArray(selector))
+    .forEach(([key, selector]) => {
+      Object.defineProperty(selector, 'selectorName', { value: `${selectorClass.name}.${key}` });
+    });
+  return selectorClass;
+};
+
+module.exports = { toLocator, describeLocator, describeSelector, nameSelectors };
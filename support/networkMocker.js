@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/network');
+
+// Placeholder for "**" while single "*" is expanded (a private-use character)
+const GLOBSTAR = '\uE000';
+
+/**
+ * Turn a URL pattern into a predicate for BrowserContext.route.
+ *
+ * Patterns starting with "/" match the request path only (query string ignored), so
+ * "/login" works against any base URL; anything else is matched against the full URL.
+ * "*" matches within one path segment, "**" across segments and "{a,b}" either value.
+ */
+const toUrlMatcher = (pattern) => {
+  const source = pattern
+    .replace(/[.+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{([^}]*)\}/g, (_match, options) => `(?:${options.split(',').join('|')})`)
+    .replace(/\*\*/g, GLOBSTAR)
+    .replace(/\*/g, '[^/]*')
+    .split(GLOBSTAR).join('.*');
+  const regex = new RegExp(`^${source}$`);
+  return pattern.startsWith('/')
+    ? url => regex.test(url.pathname)
+    : url => regex.test(url.href);
+};
+
+/**
+ * Stubs, delays, blocks and replays browser network traffic for one scenario.
+ *
+ * Every request that no stub or HAR handles falls through to a catch-all route that
+ * records it as unmatched (and aborts it in strict mode); getReport() lists those
+ * together with stubs that were never hit.
+ */
+class NetworkMocker {
+  constructor(context, options = {}) {
+    this.context = context;
+    this.logger = options.logger || console;
+    this.fixturesDir = options.fixturesDir || process.env.NETWORK_FIXTURES_PATH || DEFAULT_FIXTURES_DIR;
+    this.strict = options.strict || process.env.NETWORK_MOCK_STRICT === 'true';
+    this.routes = [];
+    this.unmatched = [];
+    this.requests = [];
+    this.catchAllInstalled = false;
+
+    this.onRequest = request => {
+      this.requests.push({ method: request.method(), url: request.url() });
+    };
+    this.context.on('request', this.onRequest);
+  }
+
+  /**
+   * Registered first so it has the lowest priority: Playwright runs the most recently
+   * added route handler first, and stubs call route.fallback() when they don't apply.
+   */
+  async installCatchAll() {
+    if (this.catchAllInstalled) {
+      return;
+    }
+    this.catchAllInstalled = true;
+    await this.context.route('**/*', async route => {
+      const request = route.request();
+      this.unmatched.push({
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        blocked: this.strict
+      });
+      if (this.strict) {
+        await route.abort('blockedbyclient');
+      } else {
+        await route.fallback();
+      }
+    });
+  }
+
+  readFixture(name) {
+    const fixturePath = path.isAbsolute(name) ? name : path.join(this.fixturesDir, name);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Network fixture not found: ${fixturePath}`);
+    }
+    return { fixturePath, fixture: JSON.parse(fs.readFileSync(fixturePath, 'utf8')) };
+  }
+
+  /**
+   * Build the route.fulfill() options for a fixture response:
+   * { status, headers, contentType, body | bodyFile, delay }.
+   */
+  buildResponse(response, fixtureDir = this.fixturesDir) {
+    let { body } = response;
+    if (response.bodyFile) {
+      body = fs.readFileSync(path.join(fixtureDir, response.bodyFile));
+    } else if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+    }
+
+    const isJson = response.body !== undefined && typeof response.body !== 'string' && !response.bodyFile;
+    return {
+      status: response.status || 200,
+      headers: response.headers || {},
+      contentType: response.contentType || (isJson ? 'application/json' : undefined),
+      body
+    };
+  }
+
+  /**
+   * Route matching requests to a handler. `options.method` restricts the HTTP method and
+   * `options.times` limits how many requests the stub answers.
+   */
+  async addRoute(pattern, description, handler, options = {}) {
+    await this.installCatchAll();
+
+    const entry = {
+      pattern,
+      method: options.method ? options.method.toUpperCase() : null,
+      description,
+      hits: [],
+      times: options.times
+    };
+    this.routes.push(entry);
+
+    const matches = toUrlMatcher(pattern);
+    await this.context.route(url => matches(url), async route => {
+      const request = route.request();
+      const exhausted = entry.times !== undefined && entry.hits.length >= entry.times;
+      if ((entry.method && request.method() !== entry.method) || exhausted) {
+        await route.fallback();
+        return;
+      }
+
+      entry.hits.push({ method: request.method(), url: request.url(), timestamp: new Date().toISOString() });
+      await handler(route, request);
+    });
+    return entry;
+  }
+
+  mockResponse(pattern, response, options = {}) {
+    const fulfillOptions = this.buildResponse(response, options.fixtureDir);
+    return this.addRoute(pattern, `fulfill ${fulfillOptions.status}`, async route => {
+      if (response.delay) {
+        await new Promise(resolve => setTimeout(resolve, response.delay));
+      }
+      await route.fulfill(fulfillOptions);
+    }, { method: response.method, ...options });
+  }
+
+  /**
+   * Stub a URL pattern with a fixture from fixtures/network. A fixture is either one
+   * response, or { "routes": [{ "url": "/api/**", ...response }] } to register several.
+   */
+  mockFromFixture(pattern, fixtureName, options = {}) {
+    const { fixturePath, fixture } = this.readFixture(fixtureName);
+    const fixtureDir = path.dirname(fixturePath);
+    if (Array.isArray(fixture.routes)) {
+      throw new Error(`${fixtureName} defines several routes; load it with loadRoutes() instead`);
+    }
+    this.logger.info(`Mocking ${options.method || fixture.method || 'ANY'} ${pattern} with ${fixtureName}`);
+    return this.mockResponse(pattern, fixture, { ...options, fixtureDir });
+  }
+
+  async loadRoutes(fixtureName) {
+    const { fixturePath, fixture } = this.readFixture(fixtureName);
+    if (!Array.isArray(fixture.routes)) {
+      throw new Error(`${fixtureName} has no "routes" array`);
+    }
+    const fixtureDir = path.dirname(fixturePath);
+    for (const routeDefinition of fixture.routes) {
+      // Registration order decides precedence, so routes are added one by one
+      // eslint-disable-next-line no-await-in-loop -- sequential on purpose
+      await this.mockResponse(routeDefinition.url, routeDefinition, {
+        fixtureDir,
+        times: routeDefinition.times
+      });
+    }
+    this.logger.info(`Loaded ${fixture.routes.length} network routes from ${fixtureName}`);
+  }
+
+  delay(pattern, ms, options = {}) {
+    return this.addRoute(pattern, `delay ${ms}ms`, async route => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      await route.continue();
+    }, options);
+  }
+
+  fail(pattern, errorCode = 'failed', options = {}) {
+    return this.addRoute(pattern, `abort (${errorCode})`, route => route.abort(errorCode), options);
+  }
+
+  /**
+   * Answer requests from a HAR file, e.g. the one Base.createContext records when
+   * TRACE_ON_FAILURE=true. Requests missing from the HAR reach the catch-all route.
+   */
+  async replayHar(harPath, options = {}) {
+    const resolvedPath = path.resolve(harPath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`HAR file not found: ${resolvedPath}`);
+    }
+    await this.installCatchAll();
+    await this.context.routeFromHAR(resolvedPath, {
+      url: options.url,
+      notFound: 'fallback'
+    });
+    this.routes.push({ pattern: options.url || '**/*', description: `HAR ${path.basename(resolvedPath)}`, hits: null });
+    this.logger.info(`Replaying network traffic from ${resolvedPath}`);
+  }
+
+  setStrict(strict = true) {
+    this.strict = strict;
+  }
+
+  /**
+   * Requests the page made to a URL pattern, stubbed or not.
+   */
+  getRequests(pattern, method) {
+    const matches = toUrlMatcher(pattern);
+    return this.requests.filter(request =>
+      matches(new URL(request.url)) && (!method || request.method === method.toUpperCase())
+    );
+  }
+
+  /**
+   * Summary for the end of the scenario: requests no stub handled and stubs never used.
+   */
+  getReport() {
+    return {
+      strict: this.strict,
+      routes: this.routes.map(entry => ({
+        pattern: entry.pattern,
+        method: entry.method,
+        description: entry.description,
+        hits: entry.hits ? entry.hits.length : null
+      })),
+      unmatchedRequests: this.unmatched,
+      unusedRoutes: this.routes
+        .filter(entry => entry.hits && entry.hits.length === 0)
+        .map(entry => `${entry.method || 'ANY'} ${entry.pattern}`)
+    };
+  }
+
+  hasRoutes() {
+    return this.routes.length > 0;
+  }
+
+  dispose() {
+    this.context.off('request', this.onRequest);
+  }
+}
+
+module.exports = { NetworkMocker, toUrlMatcher };
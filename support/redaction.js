@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+
+const MASK = '[REDACTED]';
+
+// Object keys whose values are always masked; compared lower-case without "-", "_" or spaces,
+// so "apiKey", "X-API-Key" and "api_key" all match "apikey"
+const DEFAULT_SECRET_KEYS = ['password', 'passwd', 'secret', 'token', 'authorization', 'apikey', 'cookie', 'credential', 'privatekey'];
+
+// Env vars whose values are masked wherever they appear; "*" matches any characters
+const DEFAULT_SECRET_ENV_VARS = ['*PASSWORD', '*SECRET', '*TOKEN', '*API_KEY', 'ENCRYPTION_KEY'];
+
+// Secrets recognised by their shape, in order; the key pattern runs after the header ones so
+// "Authorization: Bearer x" masks the token rather than just the word "Bearer"
+const DEFAULT_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, `$1 ${MASK}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, MASK],
+  [/(["']?(?:password|passwd|secret|token|api[-_]?key|authorization)["']?\s*[:=]\s*["']?)(?!\[REDACTED\])[^"'&\s,;}]+/gi, `$1${MASK}`]
+];
+
+// Shorter values (e.g. "true", "1") would mask unrelated text
+const MIN_SECRET_LENGTH = 4;
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_\s]/g, '');
+
+const globToRegExp = (glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Attachments that hold text; anything else (screenshots, videos, traces) is binary
+const TEXT_MEDIA_TYPE = /^text\/|[/+](json|xml)$/;
+
+// Cucumber's HTML report keeps the run's messages as one JSON array on this line
+const CUCUMBER_MESSAGES_LINE = /^(window\.CUCUMBER_MESSAGES = )(\[.*\]);$/m;
+
+// Inline base64 data, e.g. screenshots in generated HTML reports
+const DATA_URI = /data:([\w.+-]+\/[\w.+-]+);base64,[A-Za-z0-9+/=]+/;
+
+/**
+ * Masks secrets in log entries, attachments and reports. Three rules, configurable in
+ * env.config:
+ *   REDACT_KEYS       extra object keys whose values are masked (e.g. "ssn,cardNumber")
+ *   REDACT_PATTERNS   extra regular expressions, comma-separated, masked wherever they match
+ *   REDACT_ENV_VARS   extra env var names or globs whose values are masked (e.g. "DB_USER")
+ * on top of the defaults above. Values added with addValues() (profile credentials, vault
+ * secrets) are masked too.
+ */
+class Redactor {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.keys = [...DEFAULT_SECRET_KEYS, ...splitList(env.REDACT_KEYS), ...(options.keys || [])].map(normalizeKey);
+    this.patterns = [
+      ...DEFAULT_PATTERNS,
+      ...[...splitList(env.REDACT_PATTERNS), ...(options.patterns || [])].map(source => [new RegExp(source, 'g'), MASK])
+    ];
+    const envVars = [...DEFAULT_SECRET_ENV_VARS, ...splitList(env.REDACT_ENV_VARS)].map(globToRegExp);
+    this.values = [];
+    this.addValues(Object.entries(env)
+      .filter(([name]) => envVars.some(pattern => pattern.test(name)))
+      .map(([, value]) => value));
+  }
+
+  addValues(values) {
+    const added = values
+      .filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH && !this.values.includes(value));
+    if (added.length === 0) {
+      return;
+    }
+    // Longest first, so a secret that contains another one is masked whole
+    this.values = [...this.values, ...added].sort((a, b) => b.length - a.length);
+    this.valuePattern = new RegExp(this.values.map(escapeRegExp).join('|'), 'g');
+  }
+
+  isSecretKey(key) {
+    const normalized = normalizeKey(key);
+    return this.keys.some(secretKey => normalized.includes(secretKey));
+  }
+
+  redactText(text) {
+    const masked = this.valuePattern ? String(text).replace(this.valuePattern, MASK) : String(text);
+    return this.patterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), masked);
+  }
+
+  /**
+   * Redacted copy of a string, array or plain object (the input is left untouched). Values
+   * under secret keys are replaced whole; strings are masked by value and pattern. Base64
+   * attachments (Cucumber JSON embeddings, message attachments) go through redactBase64().
+   */
+  redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (value instanceof Error) {
+      const error = new Error(this.redactText(value.message));
+      error.name = value.name;
+      error.stack = value.stack && this.redactText(value.stack);
+      return error;
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) {
+      return value;
+    }
+    // `seen` holds the objects being copied above this one, to stop at circular references
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (typeof value.mime_type === 'string' && typeof value.data === 'string') {
+      return { ...value, data: this.redactBase64(value.data, value.mime_type) };
+    }
+    if (value.contentEncoding === 'BASE64' && typeof value.body === 'string') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        key === 'body' ? this.redactBase64(item, value.mediaType) : this.redact(item, seen)
+      ]));
+    }
+    seen.add(value);
+    const copy = Array.isArray(value)
+      ? value.map(item => this.redact(item, seen))
+      : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        this.isSecretKey(key) && item !== null && item !== undefined && item !== '' ? MASK : this.redact(item, seen)
+      ]));
+    seen.delete(value);
+    return copy;
+  }
+
+  /**
+   * Base64 attachment data. Masking inside base64 would corrupt screenshots and videos, so
+   * only text attachments are decoded, redacted and encoded again.
+   */
+  redactBase64(data, mediaType) {
+    if (!TEXT_MEDIA_TYPE.test(mediaType)) {
+      return data;
+    }
+    const text = Buffer.from(data, 'base64').toString('utf8');
+    const redacted = this.redactText(text);
+    return redacted === text ? data : Buffer.from(redacted, 'utf8').toString('base64');
+  }
+
+  // Value masking for markup, leaving binary data URIs whole
+  maskValues(text) {
+    if (!this.valuePattern) {
+      return text;
+    }
+    const pattern = new RegExp(`${DATA_URI.source}|${this.valuePattern.source}`, 'g');
+    return text.replace(pattern, (match, mediaType) => {
+      if (!mediaType) {
+        return MASK;
+      }
+      return TEXT_MEDIA_TYPE.test(mediaType)
+        ? `data:${mediaType};base64,${this.redactBase64(match.slice(match.indexOf(',') + 1), mediaType)}`
+        : match;
+    });
+  }
+
+  /**
+   * Redact a report file in place: JSON by key, value and pattern, like Cucumber's HTML
+   * report messages; the rest of an HTML file by value only, since the patterns could match
+   * markup. Binary attachments are left untouched in all of them.
+   */
+  redactFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (path.extname(filePath) === '.json') {
+      const data = JSON.parse(content);
+      const redacted = this.redact(data);
+      // Rewritten only when something was masked, so the file's mtime still dates the run
+      if (JSON.stringify(redacted) !== JSON.stringify(data)) {
+        fs.writeFileSync(filePath, JSON.stringify(redacted, null, 2));
+      }
+      return;
+    }
+    const redacted = CUCUMBER_MESSAGES_LINE.test(content)
+      // Serialised the way @cucumber/html-formatter writes it, with "/" escaped
+      ? content.replace(CUCUMBER_MESSAGES_LINE, (_line, prefix, messages) =>
+        `${prefix}${JSON.stringify(this.redact(JSON.parse(messages))).replace(/\//g, '\\/')};`)
+      : this.maskValues(content);
+    if (redacted !== content) {
+      fs.writeFileSync(filePath, redacted);
+    }
+  }
+}
+
+const redactor = new Redactor();
+
+// Winston format: masks the message and metadata of every entry before any transport sees it
+const redactFormat = winston.format((info) => {
+  Object.keys(info).filter(key => key !== 'level').forEach(key => {
+    info[key] = redactor.isSecretKey(key) && info[key] ? MASK : redactor.redact(info[key]);
+  });
+  return info;
+});
+
+module.exports = { MASK, Redactor, redactor, redactFormat };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Per-worker result shards for runs with --parallel.
+ *
+ * Each cucumber worker writes reports/shards/run-<id>/worker-<n>.json from AfterAll.
+ * runner/run.js passes the run id as REPORT_RUN_ID and merges whatever shards exist once
+ * cucumber exits, so a worker that dies early only loses its own shard. When cucumber-js is
+ * started directly, workers of one parallel run share the coordinator's pid as run id and
+ * the worker that writes the last shard merges them.
+ */
+class ReportShards {
+  constructor(reportDir = process.env.REPORT_PATH || './reports', runId = process.env.REPORT_RUN_ID) {
+    this.shardsDir = path.join(reportDir, 'shards');
+    this.workerId = process.env.CUCUMBER_WORKER_ID || '0';
+    this.totalWorkers = parseInt(process.env.CUCUMBER_TOTAL_WORKERS, 10) || 1;
+    this.runId = runId || (process.env.CUCUMBER_WORKER_ID ? process.ppid : process.pid);
+    this.runDir = path.join(this.shardsDir, `run-${this.runId}`);
+  }
+
+  writeShard(data) {
+    fs.mkdirSync(this.runDir, { recursive: true });
+    const shardPath = path.join(this.runDir, `worker-${this.workerId}.json`);
+    // Written under a temporary name first so a merging worker never reads half a shard
+    fs.writeFileSync(`${shardPath}.tmp`, JSON.stringify({ workerId: this.workerId, pid: process.pid, ...data }, null, 2));
+    fs.renameSync(`${shardPath}.tmp`, shardPath);
+    return shardPath;
+  }
+
+  readShards(runDir = this.runDir) {
+    if (!fs.existsSync(runDir)) {
+      return [];
+    }
+    return fs.readdirSync(runDir)
+      .filter(file => /^worker-.+\.json$/.test(file))
+      .map(file => JSON.parse(fs.readFileSync(path.join(runDir, file), 'utf8')));
+  }
+
+  /**
+   * Merge the run's shards if every worker has written one and no other worker has
+   * claimed the merge yet; returns null otherwise.
+   */
+  mergeIfComplete() {
+    if (this.readShards().length < this.totalWorkers) {
+      return null;
+    }
+    return this.mergeAvailable();
+  }
+
+  /**
+   * Merge whatever shards the run has written, unless it was merged already; returns null
+   * when there is nothing to merge.
+   */
+  mergeAvailable() {
+    const shards = this.readShards();
+    if (shards.length === 0) {
+      return null;
+    }
+
+    try {
+      fs.writeFileSync(path.join(this.runDir, 'merged.lock'), String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return null;
+      }
+      throw error;
+    }
+
+    this.removeFinishedRuns();
+    return ReportShards.merge(shards);
+  }
+
+  // Shards of earlier runs that were already merged; runs still in progress have no lock
+  removeFinishedRuns() {
+    fs.readdirSync(this.shardsDir)
+      .map(dir => path.join(this.shardsDir, dir))
+      .filter(dir => dir !== this.runDir && fs.existsSync(path.join(dir, 'merged.lock')))
+      .forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+
+  static merge(shards) {
+    const ordered = [...shards].sort((a, b) => String(a.workerId).localeCompare(String(b.workerId), undefined, { numeric: true }));
+    const sum = (key) => ordered.reduce((total, shard) => total + (shard[key] || 0), 0);
+
+    const startTime = new Date(Math.min(...ordered.map(shard => Date.parse(shard.startTime))));
+    const endTime = new Date(Math.max(...ordered.map(shard => Date.parse(shard.endTime))));
+    const totalScenarios = sum('totalScenarios');
+    const passedScenarios = sum('passedScenarios');
+
+    return {
+      summary: {
+        totalScenarios,
+        passedScenarios,
+        failedScenarios: sum('failedScenarios'),
+        successRate: totalScenarios > 0 ? ((passedScenarios / totalScenarios) * 100).toFixed(2) : '0.00',
+        totalDuration: endTime - startTime,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        workers: ordered.length
+      },
+      performance: ordered.flatMap(shard => shard.performanceMetrics || []),
+      screenshots: ordered.flatMap(shard => shard.screenshots || []),
+      videos: ordered.flatMap(shard => shard.videos || []),
+      healedLocators: ordered.flatMap(shard => shard.healedLocators || []),
+      retries: ordered.flatMap(shard => shard.retries || []),
+      environment: ordered[0].environment,
+      workers: ordered.map(shard => ({
+        workerId: shard.workerId,
+        pid: shard.pid,
+        totalScenarios: shard.totalScenarios,
+        passedScenarios: shard.passedScenarios,
+        failedScenarios: shard.failedScenarios,
+        duration: Date.parse(shard.endTime) - Date.parse(shard.startTime)
+      }))
+    };
+  }
+}
+
+module.exports = ReportShards;
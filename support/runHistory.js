@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { errorSignature } = require('./errorSignature');
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, '../reports/history');
+
+// Step statuses that make a scenario count as failed in the history
+const FAILING_STATUSES = ['failed', 'ambiguous', 'undefined'];
+
+/**
+ * Scenario id used across runs: feature URI plus the scenario's line (the Examples row
+ * line for Scenario Outlines), the same "uri:line" location cucumber-js accepts as a path.
+ */
+const scenarioId = (uri, line) => `${uri}:${line}`;
+
+// Overall status of a cucumber JSON report element: passed, failed or skipped
+const scenarioStatus = (element) => {
+  const statuses = element.steps.filter(step => step.result).map(step => step.result.status);
+  if (statuses.some(status => FAILING_STATUSES.includes(status))) {
+    return 'failed';
+  }
+  return statuses.length > 0 && statuses.every(status => status === 'passed' || status === 'skipped') &&
+    statuses.some(status => status === 'passed') ? 'passed' : 'skipped';
+};
+
+/**
+ * Run history under reports/history: one run-<timestamp>.json record per run, flip-rate
+ * analysis across the most recent runs and the quarantine list of flaky scenarios.
+ */
+class RunHistory {
+  constructor(options = {}) {
+    this.historyDir = options.historyDir || process.env.HISTORY_PATH || DEFAULT_HISTORY_DIR;
+    this.quarantineFile = path.join(this.historyDir, 'quarantine.json');
+    this.window = options.window || parseInt(process.env.FLAKY_HISTORY_WINDOW, 10) || 20;
+    this.threshold = options.threshold || parseFloat(process.env.FLAKY_FLIP_RATE_THRESHOLD) || 0.3;
+    this.minRuns = options.minRuns || parseInt(process.env.FLAKY_MIN_RUNS, 10) || 3;
+  }
+
+  /**
+   * Append a record for one run built from a cucumber JSON report: a run summary plus each
+   * scenario's status, duration (ms) and, when it failed, the failing step, error and error
+   * signature id.
+   * `retries` lists the attempts cucumber retried ({ id, attempt, error }, collected by the
+   * hooks); the JSON report only has the final attempt, so they are stored per scenario as
+   * `retries` and `retryErrors`.
+   */
+  recordRun(reportData, metadata = {}, retries = []) {
+    const timestamp = new Date().toISOString();
+    const scenarios = {};
+    reportData.forEach(feature => {
+      (feature.elements || [])
+        .filter(element => element.type !== 'background')
+        .forEach(element => {
+          const status = scenarioStatus(element);
+          const failedStep = element.steps.find(step => step.result && FAILING_STATUSES.includes(step.result.status));
+          const id = scenarioId(feature.uri, element.line);
+          const retried = retries.filter(retry => retry.id === id);
+          scenarios[id] = {
+            feature: feature.name,
+            name: element.name,
+            status,
+            tags: (element.tags || []).map(tag => tag.name),
+            // Cucumber JSON durations are nanoseconds
+            duration: Math.round(element.steps.reduce((total, step) => total + ((step.result && step.result.duration) || 0), 0) / 1000000),
+            ...(failedStep && {
+              failedStep: `${failedStep.keyword.trim()} ${failedStep.name || ''}`.trim(),
+              error: (failedStep.result.error_message || failedStep.result.status).split('\n')[0],
+              // Failure cluster id, for the next report's new versus recurring failures
+              errorSignature: errorSignature(failedStep.result.error_message || failedStep.result.status).id
+            }),
+            ...(retried.length > 0 && {
+              retries: retried.length,
+              retryErrors: retried.map(retry => retry.error)
+            })
+          };
+        });
+    });
+
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    const recordPath = path.join(this.historyDir, `run-${timestamp.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(recordPath, JSON.stringify({
+      timestamp,
+      ...metadata,
+      summary: RunHistory.summarize(scenarios),
+      scenarios
+    }, null, 2));
+    return recordPath;
+  }
+
+  // Run totals; also used for records written before summaries were stored
+  static summarize(scenarios) {
+    const results = Object.values(scenarios);
+    const count = (status) => results.filter(result => result.status === status).length;
+    const passed = count('passed');
+    const failed = count('failed');
+    return {
+      total: results.length,
+      passed,
+      failed,
+      skipped: count('skipped'),
+      passedOnRetry: results.filter(result => result.status === 'passed' && result.retries > 0).length,
+      passRate: passed + failed > 0 ? Number(((passed / (passed + failed)) * 100).toFixed(2)) : 0,
+      duration: results.reduce((total, result) => total + (result.duration || 0), 0)
+    };
+  }
+
+  // The most recent `window` run records, oldest first
+  loadRuns() {
+    if (!fs.existsSync(this.historyDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.historyDir)
+      .filter(file => /^run-.+\.json$/.test(file))
+      .sort()
+      .slice(-this.window)
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.historyDir, file), 'utf8')));
+  }
+
+  /**
+   * Flakiness per scenario from two signals. The flip rate is the number of status changes
+   * between consecutive runs divided by the number of consecutive pairs. The retry rate is
+   * the share of runs that only passed after cucumber retried a failed attempt, which never
+   * shows up as a flip. Skipped runs are ignored. A scenario with at least minRuns results
+   * and either rate at or above the threshold is flaky.
+   */
+  analyze() {
+    const runs = this.loadRuns();
+    const byScenario = {};
+
+    runs.forEach(run => {
+      Object.entries(run.scenarios).forEach(([id, result]) => {
+        if (result.status === 'skipped') {
+          return;
+        }
+        if (!byScenario[id]) {
+          byScenario[id] = { id, feature: result.feature, name: result.name, statuses: [], passedOnRetry: 0 };
+        }
+        Object.assign(byScenario[id], { feature: result.feature, name: result.name });
+        byScenario[id].statuses.push(result.status);
+        if (result.status === 'passed' && result.retries > 0) {
+          byScenario[id].passedOnRetry++;
+        }
+      });
+    });
+
+    return Object.values(byScenario).map(({ statuses, passedOnRetry, ...scenario }) => {
+      const flips = statuses.slice(1).filter((status, index) => status !== statuses[index]).length;
+      const flipRate = statuses.length > 1 ? flips / (statuses.length - 1) : 0;
+      const retryRate = passedOnRetry / statuses.length;
+      return {
+        ...scenario,
+        runs: statuses.length,
+        passed: statuses.filter(status => status === 'passed').length,
+        failed: statuses.filter(status => status === 'failed').length,
+        flips,
+        flipRate: Number(flipRate.toFixed(3)),
+        passedOnRetry,
+        retryRate: Number(retryRate.toFixed(3)),
+        lastStatus: statuses[statuses.length - 1],
+        flaky: statuses.length >= this.minRuns && Math.max(flipRate, retryRate) >= this.threshold
+      };
+    }).sort((a, b) => Math.max(b.flipRate, b.retryRate) - Math.max(a.flipRate, a.retryRate) || a.id.localeCompare(b.id));
+  }
+
+  getFlakyScenarios() {
+    return this.analyze().filter(scenario => scenario.flaky);
+  }
+
+  /**
+   * Rewrite quarantine.json from the current history and return the flaky scenarios.
+   */
+  updateQuarantine() {
+    const flaky = this.getFlakyScenarios();
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    fs.writeFileSync(this.quarantineFile, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      window: this.window,
+      threshold: this.threshold,
+      minRuns: this.minRuns,
+      scenarios: flaky.map(({ id, feature, name, runs, flipRate, retryRate, lastStatus }) => ({
+        id, feature, name, runs, flipRate, retryRate, lastStatus
+      }))
+    }, null, 2));
+    return flaky;
+  }
+
+  getQuarantine() {
+    if (!fs.existsSync(this.quarantineFile)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.quarantineFile, 'utf8')).scenarios;
+  }
+}
+
+module.exports = { RunHistory, scenarioId, scenarioStatus };
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { redactFormat } = require('./redaction');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactFormat(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'run-summary' },
+  transports: [
+    new winston.transports.File({
+      filename: path.join(process.env.LOG_FILE_PATH || './logs', 'test-execution.log')
+    }),
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+/**
+ * One entry per selector and fallback that was used, with how often and in which
+ * scenarios, so the selectors/*.js lists can be updated deliberately.
+ */
+function writeHealedLocatorsReport(healedLocators) {
+  try {
+    const grouped = new Map();
+    healedLocators.forEach(entry => {
+      const key = `${entry.selector} -> ${entry.healedWith}`;
+      if (!grouped.has(key)) {
+        grouped.set(key, {
+          selector: entry.selector,
+          primary: entry.primary,
+          healedWith: entry.healedWith,
+          candidateIndex: entry.candidateIndex,
+          occurrences: 0,
+          scenarios: [],
+          urls: [],
+          firstSeen: entry.timestamp,
+          lastSeen: entry.timestamp
+        });
+      }
+      const group = grouped.get(key);
+      group.occurrences++;
+      group.lastSeen = entry.timestamp;
+      if (!group.scenarios.includes(entry.scenario)) {
+        group.scenarios.push(entry.scenario);
+      }
+      if (!group.urls.includes(entry.url)) {
+        group.urls.push(entry.url);
+      }
+    });
+
+    const reportPath = path.join(process.env.REPORT_PATH || './reports', 'healed-locators.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      healedLocators: [...grouped.values()].sort((a, b) => b.occurrences - a.occurrences)
+    }, null, 2));
+
+    if (grouped.size > 0) {
+      logger.warn(`🩹 ${grouped.size} locator(s) only matched through a fallback candidate, see ${reportPath}`);
+    }
+  } catch (error) {
+    logger.error('Failed to write healed locators report:', error);
+  }
+}
+
+function generateComprehensiveReport(merged) {
+  try {
+    const report = {
+      summary: merged.summary,
+      workers: merged.workers,
+      performance: merged.performance,
+      screenshots: merged.screenshots,
+      videos: merged.videos,
+      environment: merged.environment
+    };
+
+    const reportPath = path.join(
+      process.env.REPORT_PATH || './reports',
+      'comprehensive-report.json'
+    );
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    logger.info(`Comprehensive report generated: ${reportPath}`);
+  } catch (error) {
+    logger.error('Failed to generate comprehensive report:', error);
+  }
+}
+
+function generatePerformanceSummary(merged) {
+  try {
+    const metrics = merged.performance;
+    if (metrics.length === 0) {
+      return;
+    }
+
+    const summary = {
+      totalTests: metrics.length,
+      averageDuration: metrics.reduce((sum, test) =>
+        sum + test.duration, 0) / metrics.length,
+      slowestTest: Math.max(...metrics.map(test => test.duration)),
+      fastestTest: Math.min(...metrics.map(test => test.duration))
+    };
+
+    const summaryPath = path.join(
+      process.env.PERFORMANCE_RESULTS_PATH || './reports/performance',
+      'performance-summary.json'
+    );
+
+    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+    logger.info(`Performance summary generated: ${summaryPath}`);
+  } catch (error) {
+    logger.error('Failed to generate performance summary:', error);
+  }
+}
+
+async function sendTestNotifications(summary) {
+  try {
+    const successRate = parseFloat(summary.successRate);
+
+    // Send Slack notification if configured
+    if (process.env.SLACK_WEBHOOK_URL) {
+      const slackNotify = require('slack-notify');
+      const slack = slackNotify(process.env.SLACK_WEBHOOK_URL);
+
+      const message = {
+        text: 'Test Execution Complete',
+        attachments: [{
+          color: successRate >= 90 ? 'good' : successRate >= 70 ? 'warning' : 'danger',
+          fields: [
+            { title: 'Total Scenarios', value: summary.totalScenarios, short: true },
+            { title: 'Passed', value: summary.passedScenarios, short: true },
+            { title: 'Failed', value: summary.failedScenarios, short: true },
+            { title: 'Success Rate', value: `${successRate.toFixed(2)}%`, short: true }
+          ]
+        }]
+      };
+
+      slack.send(message);
+    }
+
+    // Send email notification if configured
+    if (process.env.EMAIL_HOST && process.env.EMAIL_USER) {
+      const nodemailer = require('nodemailer');
+
+      const transporter = nodemailer.createTransporter({
+        host: process.env.EMAIL_HOST,
+        port: process.env.EMAIL_PORT,
+        secure: false,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD
+        }
+      });
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: process.env.EMAIL_TO,
+        subject: `Test Execution Report - ${successRate.toFixed(2)}% Success Rate`,
+        html: `
+          <h2>Test Execution Summary</h2>
+          <p><strong>Total Scenarios:</strong> ${summary.totalScenarios}</p>
+          <p><strong>Passed:</strong> ${summary.passedScenarios}</p>
+          <p><strong>Failed:</strong> ${summary.failedScenarios}</p>
+          <p><strong>Success Rate:</strong> ${successRate.toFixed(2)}%</p>
+        `
+      };
+
+      await transporter.sendMail(mailOptions);
+    }
+  } catch (error) {
+    logger.error('Failed to send notifications:', error);
+  }
+}
+
+function cleanupTemporaryFiles() {
+  try {
+    const tempDirs = [
+      path.join(__dirname, '../temp'),
+      path.join(__dirname, '../.tmp')
+    ];
+
+    tempDirs.forEach(dir => {
+      if (fs.existsSync(dir)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    logger.info('Temporary files cleaned up');
+  } catch (error) {
+    logger.error('Failed to cleanup temporary files:', error);
+  }
+}
+
+/**
+ * Run-wide outputs from merged worker shards (see ReportShards): comprehensive report,
+ * performance summary, healed locators report and the Slack/email notification. Called
+ * once per run, by runner/run.js after cucumber exits or, for runs started with cucumber-js
+ * directly, by the last worker to finish.
+ */
+async function publishRunSummary(merged) {
+  generateComprehensiveReport(merged);
+  generatePerformanceSummary(merged);
+  writeHealedLocatorsReport(merged.healedLocators);
+  await sendTestNotifications(merged.summary);
+  // Clean up temporary files once no worker can still be using them
+  cleanupTemporaryFiles();
+}
+
+module.exports = { publishRunSummary };
@@ -1,258 +1,281 @@
+const { toLocator, describeLocator, describeSelector } = require('./locators');
+const { ActionLogger } = require('./actionLogger');
+const { MASK } = require('./redaction');
+
+// How often candidate lists are re-checked while waiting for one of them to match
+const CANDIDATE_POLL_INTERVAL = 250;
+
 class WebElements {
-  constructor(page) {
+  constructor(page, actionLogger = new ActionLogger()) {
     this.page = page;
+    // Shared with the scenario's page objects; see support/actionLogger.js
+    this.actionLogger = actionLogger;
+    // Fallback candidates used in this scenario, collected by the After hook
+    this.healedLocators = [];
   }
 
-  async click(selector, options = {}) {
+  /**
+   * Locator for a selector (see support/locators.js). For a candidate list, waits up to
+   * `timeout` for the first candidate in list order that is visible (or attached), and
+   * throws when none does unless `required` is false, in which case the first candidate
+   * is returned for the caller to check.
+   */
+  async resolve(selector, { state = 'visible', timeout = 10000, required = true } = {}) {
+    if (!Array.isArray(selector)) {
+      return toLocator(this.page, selector);
+    }
+
+    const candidates = selector.map(candidate => toLocator(this.page, candidate));
+    const deadline = Date.now() + (required ? timeout : 0);
+    for (;;) {
+      // Checked together; the first match in list order wins
+      // eslint-disable-next-line no-await-in-loop -- polling until the deadline
+      const matched = await Promise.all(candidates.map(candidate => this.matches(candidate, state)));
+      const index = matched.indexOf(true);
+      if (index !== -1) {
+        if (index > 0) {
+          this.recordHealedLocator(selector, index);
+        }
+        return candidates[index];
+      }
+      if (Date.now() >= deadline) {
+        break;
+      }
+      // eslint-disable-next-line no-await-in-loop -- polling until the deadline
+      await this.page.waitForTimeout(CANDIDATE_POLL_INTERVAL);
+    }
+
+    if (!required) {
+      return candidates[0];
+    }
+    throw new Error(`No candidate for ${describeSelector(selector)} was ${state} within ${timeout}ms: ${selector.map(describeLocator).join(' | ')}`);
+  }
+
+  async matches(locator, state) {
     try {
-      const element = await this.page.locator(selector);
-      await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
-      await element.click(options);
-      console.log(`Clicked element: ${selector}`);
+      return state === 'visible' ? await locator.first().isVisible() : await locator.count() > 0;
     } catch (error) {
-      console.error(`Failed to click element: ${selector}`, error);
-      throw error;
+      // e.g. an invalid selector in one candidate; the other candidates still get a chance
+      return false;
     }
   }
 
+  recordHealedLocator(selector, index) {
+    const healed = {
+      selector: describeSelector(selector),
+      primary: describeLocator(selector[0]),
+      healedWith: describeLocator(selector[index]),
+      candidateIndex: index,
+      url: this.page.url(),
+      timestamp: new Date().toISOString()
+    };
+    this.healedLocators.push(healed);
+    this.actionLogger.warn('healed-locator', {
+      locator: selector,
+      primary: healed.primary,
+      healedWith: healed.healedWith,
+      candidateIndex: index
+    });
+  }
+
+  async click(selector, options = {}) {
+    await this.actionLogger.track('click', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
+      await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
+      await element.click(options);
+    });
+  }
+
   async type(selector, text, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('type', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.clear();
       await element.fill(text, options);
-      console.log(`Typed "${text}" into element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to type into element: ${selector}`, error);
-      throw error;
-    }
+      return this.isPasswordInput(element);
+    }, isPassword => ({ value: isPassword ? MASK : text }));
   }
 
   async typeSlowly(selector, text, delay = 100) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('type-slowly', selector, async () => {
+      const element = await this.resolve(selector);
       await element.waitFor({ state: 'visible', timeout: 10000 });
       await element.clear();
       await element.type(text, { delay });
-      console.log(`Typed "${text}" slowly into element: ${selector}`);
+      return this.isPasswordInput(element);
+    }, isPassword => ({ value: isPassword ? MASK : text }));
+  }
+
+  // Typed values are logged unless the field is a password input (support/redaction.js masks known secrets)
+  async isPasswordInput(element) {
+    try {
+      return await element.first().getAttribute('type') === 'password';
     } catch (error) {
-      console.error(`Failed to type slowly into element: ${selector}`, error);
-      throw error;
+      return false;
     }
   }
 
   async selectOption(selector, value, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('select-option', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.selectOption(value, options);
-      console.log(`Selected option "${value}" from element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to select option from element: ${selector}`, error);
-      throw error;
-    }
+    }, { value });
   }
 
   async check(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('check', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.check(options);
-      console.log(`Checked element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to check element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
   async uncheck(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('uncheck', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.uncheck(options);
-      console.log(`Unchecked element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to uncheck element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
   async hover(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('hover', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.hover(options);
-      console.log(`Hovered over element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to hover over element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
   async doubleClick(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('double-click', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.dblclick(options);
-      console.log(`Double-clicked element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to double-click element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
   async rightClick(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('right-click', selector, async () => {
+      const element = await this.resolve(selector, { timeout: options.timeout || 10000 });
       await element.waitFor({ state: 'visible', timeout: options.timeout || 10000 });
       await element.click({ button: 'right', ...options });
-      console.log(`Right-clicked element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to right-click element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
-  async waitForElement(selector, options = {}) {
-    try {
-      const element = await this.page.locator(selector);
-      await element.waitFor({ 
-        state: options.state || 'visible', 
-        timeout: options.timeout || 10000 
+  waitForElement(selector, options = {}) {
+    return this.actionLogger.track('wait-for', selector, async () => {
+      // Waiting for an element to go away uses whichever candidate is on the page now
+      const disappearing = ['hidden', 'detached'].includes(options.state);
+      const element = await this.resolve(selector, {
+        state: disappearing ? 'attached' : options.state || 'visible',
+        timeout: options.timeout || 10000,
+        required: !disappearing
+      });
+      await element.waitFor({
+        state: options.state || 'visible',
+        timeout: options.timeout || 10000
       });
-      console.log(`Element is ready: ${selector}`);
       return element;
-    } catch (error) {
-      console.error(`Element not found: ${selector}`, error);
-      throw error;
-    }
+    }, { state: options.state || 'visible' });
   }
 
   async waitForElementToDisappear(selector, timeout = 10000) {
-    try {
-      await this.page.waitForSelector(selector, { state: 'hidden', timeout });
-      console.log(`Element disappeared: ${selector}`);
-    } catch (error) {
-      console.error(`Element did not disappear: ${selector}`, error);
-      throw error;
-    }
+    await this.actionLogger.track('wait-for', selector, async () => {
+      const element = await this.resolve(selector, { state: 'attached', required: false });
+      await element.waitFor({ state: 'hidden', timeout });
+    }, { state: 'hidden' });
   }
 
-  async getText(selector) {
-    try {
-      const element = await this.page.locator(selector);
+  getText(selector) {
+    return this.actionLogger.track('get-text', selector, async () => {
+      const element = await this.resolve(selector);
       await element.waitFor({ state: 'visible', timeout: 10000 });
-      const text = await element.textContent();
-      console.log(`Got text from element: ${selector} = "${text}"`);
-      return text;
-    } catch (error) {
-      console.error(`Failed to get text from element: ${selector}`, error);
-      throw error;
-    }
+      return element.textContent();
+    }, text => ({ value: text }));
   }
 
-  async getAttribute(selector, attribute) {
-    try {
-      const element = await this.page.locator(selector);
+  getAttribute(selector, attribute) {
+    return this.actionLogger.track('get-attribute', selector, async () => {
+      const element = await this.resolve(selector);
       await element.waitFor({ state: 'visible', timeout: 10000 });
-      const value = await element.getAttribute(attribute);
-      console.log(`Got attribute "${attribute}" from element: ${selector} = "${value}"`);
-      return value;
-    } catch (error) {
-      console.error(`Failed to get attribute from element: ${selector}`, error);
-      throw error;
-    }
+      return element.getAttribute(attribute);
+    }, value => ({ attribute, value }));
   }
 
-  async isVisible(selector) {
-    try {
-      const element = await this.page.locator(selector);
-      return await element.isVisible();
-    } catch (error) {
-      return false;
-    }
+  // State checks answer false instead of failing; their logs show the answer
+  isVisible(selector) {
+    return this.checkState('is-visible', selector, element => element.isVisible());
   }
 
-  async isEnabled(selector) {
-    try {
-      const element = await this.page.locator(selector);
-      return await element.isEnabled();
-    } catch (error) {
-      return false;
-    }
+  isEnabled(selector) {
+    return this.checkState('is-enabled', selector, element => element.isEnabled());
   }
 
-  async isChecked(selector) {
-    try {
-      const element = await this.page.locator(selector);
-      return await element.isChecked();
-    } catch (error) {
-      return false;
-    }
+  isChecked(selector) {
+    return this.checkState('is-checked', selector, element => element.isChecked());
+  }
+
+  checkState(action, selector, check) {
+    return this.actionLogger.track(action, selector, async () => {
+      try {
+        const element = await this.resolve(selector, { state: 'attached', required: false });
+        return await check(element);
+      } catch (error) {
+        return false;
+      }
+    }, value => ({ value }));
   }
 
   async countElements(selector) {
     try {
-      const elements = await this.page.locator(selector);
-      return await elements.count();
+      return await this.actionLogger.track('count', selector, async () => {
+        const elements = await this.resolve(selector, { state: 'attached', required: false });
+        return elements.count();
+      }, count => ({ value: count }));
     } catch (error) {
-      console.error(`Failed to count elements: ${selector}`, error);
       return 0;
     }
   }
 
   async scrollToElement(selector) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('scroll-to', selector, async () => {
+      const element = await this.resolve(selector, { state: 'attached', required: false });
       await element.scrollIntoViewIfNeeded();
-      console.log(`Scrolled to element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to scroll to element: ${selector}`, error);
-      throw error;
-    }
+    });
   }
 
   async pressKey(selector, key) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('press-key', selector, async () => {
+      const element = await this.resolve(selector);
       await element.waitFor({ state: 'visible', timeout: 10000 });
       await element.press(key);
-      console.log(`Pressed key "${key}" on element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to press key on element: ${selector}`, error);
-      throw error;
-    }
+    }, { key });
   }
 
   async uploadFile(selector, filePath) {
-    try {
-      const element = await this.page.locator(selector);
+    await this.actionLogger.track('upload-file', selector, async () => {
+      const element = await this.resolve(selector);
       await element.waitFor({ state: 'visible', timeout: 10000 });
       await element.setInputFiles(filePath);
-      console.log(`Uploaded file "${filePath}" to element: ${selector}`);
-    } catch (error) {
-      console.error(`Failed to upload file to element: ${selector}`, error);
-      throw error;
-    }
+    }, { file: filePath });
   }
 
   async waitForNetworkIdle() {
     try {
-      await this.page.waitForLoadState('networkidle');
-      console.log('Network is idle');
+      await this.actionLogger.track('wait-for-network-idle', undefined, () => this.page.waitForLoadState('networkidle'));
     } catch (error) {
-      console.error('Failed to wait for network idle', error);
+      // Pages that keep polling never go idle; carry on regardless
     }
   }
 
   async waitForTimeout(milliseconds) {
     try {
-      await this.page.waitForTimeout(milliseconds);
-      console.log(`Waited for ${milliseconds}ms`);
+      await this.actionLogger.track('wait', undefined, () => this.page.waitForTimeout(milliseconds), { milliseconds });
     } catch (error) {
-      console.error('Failed to wait for timeout', error);
+      // Only fails when the page has closed
     }
   }
 }
 
-module.exports = WebElements; 
\ No newline at end of file
+module.exports = WebElements;
@@ -0,0 +1,81 @@
+const http = require('http');
+
+/**
+ * Minimal HTTP endpoint that records webhook deliveries for a scenario.
+ */
+class WebhookReceiver {
+  constructor(options = {}) {
+    this.host = options.host || process.env.WEBHOOK_RECEIVER_HOST || '127.0.0.1';
+    this.notifications = [];
+    this.waiters = [];
+    this.server = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => {
+        let rawBody = '';
+        request.on('data', chunk => {
+          rawBody += chunk;
+        });
+        request.on('end', () => {
+          let body = rawBody;
+          try {
+            body = JSON.parse(rawBody);
+          } catch (error) {
+            // Keep non-JSON payloads as text
+          }
+
+          const notification = {
+            method: request.method,
+            path: request.url,
+            headers: request.headers,
+            body,
+            receivedAt: new Date().toISOString()
+          };
+          this.notifications.push(notification);
+          this.waiters.splice(0).forEach(waiter => waiter(notification));
+
+          response.writeHead(204);
+          response.end();
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}/webhook`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Resolve with the first notification, waiting up to `timeout` ms for one to arrive.
+   */
+  waitForNotification(timeout = 5000) {
+    if (this.notifications.length > 0) {
+      return Promise.resolve(this.notifications[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`No webhook notification received within ${timeout}ms`));
+      }, timeout);
+
+      this.waiters.push(notification => {
+        clearTimeout(timer);
+        resolve(notification);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = WebhookReceiver;
@@ -0,0 +1,198 @@
+const { World, setWorldConstructor } = require('@cucumber/cucumber');
+const path = require('path');
+const { loadEnvironmentProfile } = require('./environment');
+const { redactor } = require('./redaction');
+const { CredentialsVault } = require('./credentialsVault');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+// When a Playwright trace or video is recorded and which ones are kept (see the Before/After hooks)
+const TRACE_MODES = ['on', 'off', 'retain-on-failure', 'on-first-retry'];
+const VIDEO_MODES = ['on', 'off', 'retain-on-failure'];
+
+// Which steps get a screenshot in the step timeline; any mode but "off" records the timeline
+const STEP_SCREENSHOT_MODES = ['off', 'failed', 'all'];
+
+// Short device names accepted by --world-parameters and the @mobile/@tablet tags
+const DEVICE_ALIASES = {
+  mobile: 'iPhone 12',
+  tablet: 'iPad Pro 11'
+};
+
+// Opened on first use and shared by the worker's scenarios, so the key is derived once
+let credentialsVault = null;
+
+const toBoolean = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return value === true || String(value).toLowerCase() === 'true';
+};
+
+const resolveDevice = (device) => {
+  if (!device) {
+    return undefined;
+  }
+  return DEVICE_ALIASES[String(device).toLowerCase()] || device;
+};
+
+// An explicit mode wins; the older TRACE_ON_FAILURE / VIDEO_ON_FAILURE=true flags mean retain-on-failure
+const resolveRecordingMode = (kind, mode, modes, onFailureFlag) => {
+  const resolved = String(mode || (onFailureFlag === 'true' ? 'retain-on-failure' : 'off')).toLowerCase();
+  if (!modes.includes(resolved)) {
+    throw new Error(`Unsupported ${kind} mode "${resolved}". Expected one of: ${modes.join(', ')}`);
+  }
+  return resolved;
+};
+
+/**
+ * Resolve the run configuration from Cucumber world parameters, falling back
+ * to environment variables (env.config) for anything not passed explicitly.
+ */
+const resolveRunConfig = (parameters = {}) => {
+  const browser = String(parameters.browser || process.env.BROWSER || 'chromium').toLowerCase();
+  if (!SUPPORTED_BROWSERS.includes(browser)) {
+    throw new Error(`Unsupported browser "${browser}". Expected one of: ${SUPPORTED_BROWSERS.join(', ')}`);
+  }
+
+  const headed = toBoolean(parameters.headed);
+
+  return {
+    browser,
+    headless: headed !== undefined ? !headed : process.env.HEADLESS !== 'false',
+    device: resolveDevice(parameters.device || process.env.DEVICE),
+    environment: parameters.environment || process.env.TEST_ENV,
+    traceMode: resolveRecordingMode('trace', parameters.trace || process.env.TRACE_MODE, TRACE_MODES,
+      process.env.TRACE_ON_FAILURE),
+    videoMode: resolveRecordingMode('video', parameters.video || process.env.VIDEO_MODE, VIDEO_MODES,
+      process.env.VIDEO_ON_FAILURE),
+    stepScreenshots: resolveRecordingMode('step screenshot', parameters.stepScreenshots || process.env.STEP_SCREENSHOTS,
+      STEP_SCREENSHOT_MODES),
+    // Set by runner/run.js --quarantine=exclude; quarantined scenarios are skipped
+    quarantine: parameters.quarantine,
+    // Set by runner/run.js --local-app / --mock-api; replace the profile's URLs
+    baseUrl: parameters.baseUrl,
+    apiBaseUrl: parameters.apiBaseUrl
+  };
+};
+
+class CustomWorld extends World {
+  constructor(options) {
+    super(options);
+    this.config = resolveRunConfig(this.parameters);
+    this.profile = loadEnvironmentProfile(this.config.environment, {
+      baseURL: this.config.baseUrl,
+      apiBaseURL: this.config.apiBaseUrl
+    });
+
+    // Profile secrets can come from env.<name>.config rather than the environment
+    const { credentials } = this.profile;
+    redactor.addValues([credentials.user.password, credentials.admin.password, this.profile.apiKey, this.profile.apiSecret]);
+
+    // Every attachment (hooks, steps) is redacted before it reaches a report; base64 strings
+    // are encoded binary and are left alone. Cucumber binds log and link to its attachment
+    // manager rather than to attach, so they are wrapped too
+    const { attach, log, link } = this;
+    this.attach = (data, mediaTypeOrOptions) => {
+      const mediaType = typeof mediaTypeOrOptions === 'string' ? mediaTypeOrOptions : mediaTypeOrOptions && mediaTypeOrOptions.mediaType;
+      const encoded = typeof mediaType === 'string' && mediaType.startsWith('base64:');
+      return attach(typeof data === 'string' && !encoded ? redactor.redactText(data) : data, mediaTypeOrOptions);
+    };
+    this.log = (text) => log(redactor.redactText(text));
+    this.link = (...urls) => link(...urls.map(url => redactor.redactText(url)));
+
+    // API state is scoped to the scenario so nothing leaks between scenarios or workers
+    this.api = {
+      lastResponse: null,
+      status: null,
+      headers: {},
+      history: [],
+      variables: {},
+      createdResources: []
+    };
+  }
+
+  /**
+   * Store a response from ApiClient.request as the scenario's latest response.
+   */
+  recordApiResponse(response) {
+    this.api.lastResponse = response;
+    this.api.status = response.status;
+    this.api.headers = response.headers;
+    this.api.history.push(response);
+    return response;
+  }
+
+  /**
+   * Send a request through the scenario's ApiClient and record the response.
+   */
+  async sendApiRequest(method, endpoint, options = {}) {
+    return this.recordApiResponse(
+      await this.apiClient.request(method.toUpperCase(), this.interpolate(endpoint), options)
+    );
+  }
+
+  setVariable(name, value) {
+    this.api.variables[name] = value;
+  }
+
+  getVariable(name) {
+    if (!(name in this.api.variables)) {
+      throw new Error(`Variable "${name}" has not been stored in this scenario`);
+    }
+    return this.api.variables[name];
+  }
+
+  /**
+   * Credentials for a role ("customer", "admin") in the current environment profile,
+   * decrypted from the credentials vault (see runner/vault.js).
+   */
+  getCredentials(role) {
+    if (!credentialsVault) {
+      credentialsVault = new CredentialsVault();
+    }
+    return credentialsVault.get(role, this.profile.name);
+  }
+
+  /**
+   * Replace {{name}} placeholders with stored variables, e.g. "/users/{{userId}}".
+   */
+  interpolate(text) {
+    return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, name) => this.getVariable(name));
+  }
+
+  /**
+   * Remember a resource created through the API so the After hook can delete it.
+   */
+  trackCreatedResource(type, id, resourcePath) {
+    this.api.createdResources.push({ type, id, path: resourcePath });
+  }
+
+  untrackCreatedResource(resourcePath) {
+    this.api.createdResources = this.api.createdResources.filter(resource => resource.path !== resourcePath);
+  }
+
+  /**
+   * Options for Base.initializeBrowser. A device set for the whole run wins over
+   * the per-scenario @mobile/@tablet tags.
+   */
+  getBrowserOptions(tags = []) {
+    let { device } = this.config;
+    if (!device && tags.includes('@mobile')) {
+      device = DEVICE_ALIASES.mobile;
+    } else if (!device && tags.includes('@tablet')) {
+      device = DEVICE_ALIASES.tablet;
+    }
+
+    return {
+      browser: this.config.browser,
+      headless: this.config.headless,
+      device
+    };
+  }
+}
+
+setWorldConstructor(CustomWorld);
+
+module.exports = { CustomWorld, resolveRunConfig };